@@ -34,15 +34,21 @@ app.use(
     })
 );
 
+const auditRoutes = require("./routes/audit");
 const authRoutes = require("./routes/auth");
 const eventRoutes = require("./routes/events");
+const pointsRoutes = require("./routes/points");
 const promotionRoutes = require("./routes/promotions");
+const reversalRoutes = require("./routes/reversals");
 const transactionRoutes = require("./routes/transactions");
 const userRoutes = require("./routes/users");
 
+app.use("/audit", auditRoutes);
 app.use("/auth", authRoutes);
 app.use("/events", eventRoutes);
+app.use("/points", pointsRoutes);
 app.use("/promotions", promotionRoutes);
+app.use("/reversals", reversalRoutes);
 app.use("/transactions", transactionRoutes);
 app.use("/users", userRoutes);
 
@@ -55,6 +61,9 @@ app.use((err, req, res, next) => {
 
 if (require.main === module) {
     const port = Port();
+
+    require("./routes/jobs");
+    require("./routes/utils/scheduler").startScheduler();
     const server = app.listen(port, () => {
         console.log(`Server running on port ${port}`);
     });
@@ -0,0 +1,112 @@
+const { requirePermission } = require('./auth_middleware');
+const { validateString, validateDate, validateNumber, validateInputFields } = require('./utils/validators');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+const express = require("express");
+const router = express.Router();
+
+// query parameters arrive as strings; numeric checks run on the parsed value
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+const validators = {
+    actorId(actorId, required = false) {
+        return validateNumber(toNumber(actorId), 'actorId', { required, requireInteger: true, minValue: 1 });
+    },
+
+    entityType(entityType, required = false) {
+        return validateString(entityType, 'entityType', { required });
+    },
+
+    entityId(entityId, required = false) {
+        return validateNumber(toNumber(entityId), 'entityId', { required, requireInteger: true, minValue: 1 });
+    },
+
+    action(action, required = false) {
+        return validateString(action, 'action', { required });
+    },
+
+    from(from, required = false) {
+        return validateDate(from, 'from', { required });
+    },
+
+    to(to, from, required = false) {
+        return validateDate(to, 'to', { required, mustBeAfter: from ?? null, mustBeAfterFieldName: 'from' });
+    },
+
+    page(page, required = false) {
+        return validateNumber(toNumber(page), 'page', { required, requireInteger: true, minValue: 1 });
+    },
+
+    limit(limit, required = false) {
+        return validateNumber(toNumber(limit), 'limit', { required, requireInteger: true, minValue: 1 });
+    },
+};
+
+const parseJson = (value) => (value === null ? null : JSON.parse(value));
+
+// retrieve the audit trail, newest first
+router.get('/', requirePermission('audit.view'), async (req, res) => {
+    const { actorId, entityType, entityId, action, from, to, page, limit } = req.query;
+
+    if (validateInputFields([
+        () => validators.actorId(actorId),
+        () => validators.entityType(entityType),
+        () => validators.entityId(entityId, false),
+        () => validators.action(action),
+        () => validators.from(from),
+        () => validators.to(to, from),
+        () => validators.page(page),
+        () => validators.limit(limit),
+    ], res)) return;
+
+    const pageNumber = parseInt(page) || 1;
+    const limitNumber = parseInt(limit) || 10;
+
+    const filters = {};
+    if (actorId !== undefined) filters.actorId = parseInt(actorId);
+    if (entityType !== undefined) filters.entityType = entityType;
+    if (entityId !== undefined) filters.entityId = parseInt(entityId);
+    if (action !== undefined) filters.action = action;
+    if (from !== undefined || to !== undefined) {
+        filters.createdAt = {};
+        if (from !== undefined) filters.createdAt.gte = new Date(from);
+        if (to !== undefined) filters.createdAt.lte = new Date(to);
+    }
+
+    try {
+        const [count, logs] = await Promise.all([
+            prisma.auditLog.count({ where: filters }),
+            prisma.auditLog.findMany({
+                where: filters,
+                orderBy: { id: 'desc' },
+                skip: (pageNumber - 1) * limitNumber,
+                take: limitNumber,
+                include: { actor: { select: { utorid: true } } },
+            }),
+        ]);
+
+        const results = logs.map(log => ({
+            id: log.id,
+            actorId: log.actorId,
+            actor: log.actor ? log.actor.utorid : null,
+            action: log.action,
+            entityType: log.entityType,
+            entityId: log.entityId,
+            before: parseJson(log.before),
+            after: parseJson(log.after),
+            ip: log.ip,
+            createdAt: log.createdAt,
+        }));
+
+        res.status(200).json({ count, results });
+    } catch (err) {
+        res.status(500).json({ 'error': `error listing audit logs: ${err.message}` });
+    }
+});
+
+router.all('/', async (req, res) => {
+    res.status(405).json({ 'error': 'Method Not Allowed' });
+});
+
+module.exports = router;
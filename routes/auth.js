@@ -1,15 +1,27 @@
 const express = require("express");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
 const { PrismaClient } = require("@prisma/client");
+const { CLEARANCE, requireClearance } = require("./auth_middleware");
+const { HttpError } = require("./utils/errors");
+const { issueSession, rotateRefreshToken, revokeSession } = require("./utils/sessions");
+const {
+    checkLoginThrottle,
+    recordLoginFailure,
+    clearLoginFailures,
+    sendThrottleBlock,
+} = require("./utils/lockout");
+const { sendPasswordResetEmail, shouldExposeTokens, isDeliveryEnabled } = require("./utils/mail");
+const { signPurposeToken, verifyPurposeToken } = require("./utils/purpose_tokens");
+const { verifySecondFactor } = require("./utils/two_factor");
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-const TOKEN_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
 const RESET_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
 const RESET_RATE_LIMIT_MS = 60 * 1000;  // 60 seconds
+const TWO_FACTOR_CHALLENGE_EXPIRY_S = 5 * 60; // 5 minutes to enter the code
 
 const resetRequests = new Map();
 
@@ -60,55 +72,184 @@ const shouldRateLimit = (utorid) => {
     return false;
 };
 
+// every factor checked: clear the failure counter and start a session
+const completeLogin = async (req, res, user, mfa) => {
+    await clearLoginFailures(prisma, user.utorid);
+
+    const tokens = await issueSession(prisma, user, {
+        ip: req.ip,
+        userAgent: req.get("user-agent") || null,
+        mfa,
+    });
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { lastLogin: new Date() },
+    });
+
+    res.json(tokens);
+};
+
+// a wrong second factor counts towards the same lockout as a wrong password
+const rejectLogin = async (res, utorid, message) => {
+    const lockout = await recordLoginFailure(prisma, utorid);
+    if (lockout) {
+        return sendThrottleBlock(res, lockout);
+    }
+    return sendError(res, 401, message);
+};
+
 router.post("/tokens", async (req, res) => {
     try {
-        const { utorid, password } = req.body || {};
+        const { utorid, password, code, recoveryCode } = req.body || {};
 
         if (!isValidUtorid(utorid) || !isNonEmptyString(password)) {
             return sendError(res, 400, "Invalid credentials payload");
         }
 
-        const user = await prisma.user.findUnique({
-            where: { utorid: normalizeUtorid(utorid) },
-        });
+        const normalizedUtorid = normalizeUtorid(utorid);
 
-        if (!user || !user.password) {
-            return sendError(res, 401, "Invalid utorid or password");
+        const block = await checkLoginThrottle(prisma, normalizedUtorid);
+        if (block) {
+            return sendThrottleBlock(res, block);
         }
 
-        const matches = await bcrypt.compare(password, user.password);
+        const user = await prisma.user.findUnique({
+            where: { utorid: normalizedUtorid },
+        });
+
+        const matches = user && user.password
+            ? await bcrypt.compare(password, user.password)
+            : false;
 
         if (!matches) {
-            return sendError(res, 401, "Invalid utorid or password");
+            return rejectLogin(res, normalizedUtorid, "Invalid utorid or password");
         }
 
-        const secret = process.env.JWT_SECRET;
-        if (!secret) {
+        if (!process.env.JWT_SECRET) {
             return sendError(res, 500, "JWT secret not configured");
         }
 
-        const expiresAt = new Date(Date.now() + TOKEN_EXPIRY_MS);
-        const token = jwt.sign(
-            {
-                sub: user.id,
-                role: user.role,
-            },
-            secret,
-            { expiresIn: Math.floor(TOKEN_EXPIRY_MS / 1000) }
-        );
+        if (!user.twoFactorEnabled) {
+            return completeLogin(req, res, user, false);
+        }
 
-        await prisma.user.update({
-            where: { id: user.id },
-            data: { lastLogin: new Date() },
-        });
+        // step one of two: password is fine, hand out a challenge for the code
+        if (code === undefined && recoveryCode === undefined) {
+            // only the latest challenge is valid, and only until it is used
+            const challengeId = crypto.randomBytes(16).toString("hex");
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { twoFactorChallenge: challengeId },
+            });
+            const challenge = signPurposeToken(
+                "login-2fa",
+                { sub: user.id, cid: challengeId },
+                TWO_FACTOR_CHALLENGE_EXPIRY_S
+            );
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: challenge.token,
+                expiresAt: challenge.expiresAt.toISOString(),
+            });
+        }
 
-        res.json({ token, expiresAt: expiresAt.toISOString() });
+        if (!(await verifySecondFactor(prisma, user, { code, recoveryCode }))) {
+            return rejectLogin(res, normalizedUtorid, "Invalid two-factor code");
+        }
+
+        return completeLogin(req, res, user, true);
     } catch (err) {
         console.error("/auth/tokens error", err);
         sendError(res, 500, "Internal server error");
     }
 });
 
+router.post("/tokens/2fa", async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body || {};
+
+        if (!isNonEmptyString(challengeToken) || (code === undefined && recoveryCode === undefined)) {
+            return sendError(res, 400, "challengeToken and code or recoveryCode are required");
+        }
+
+        const { payload, error } = verifyPurposeToken("login-2fa", challengeToken);
+        if (error === "expired") {
+            return sendError(res, 401, "Two-factor challenge expired; log in again");
+        }
+        if (error) {
+            return sendError(res, 401, "Invalid two-factor challenge");
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: Number(payload.sub) },
+        });
+
+        if (!user || !user.twoFactorEnabled || !payload.cid || user.twoFactorChallenge !== payload.cid) {
+            return sendError(res, 401, "Invalid two-factor challenge");
+        }
+
+        const block = await checkLoginThrottle(prisma, user.utorid);
+        if (block) {
+            return sendThrottleBlock(res, block);
+        }
+
+        if (!(await verifySecondFactor(prisma, user, { code, recoveryCode }))) {
+            return rejectLogin(res, user.utorid, "Invalid two-factor code");
+        }
+
+        // conditional write so the same challenge cannot complete two logins
+        const claimed = await prisma.user.updateMany({
+            where: { id: user.id, twoFactorChallenge: payload.cid },
+            data: { twoFactorChallenge: null },
+        });
+        if (claimed.count === 0) {
+            return sendError(res, 401, "Invalid two-factor challenge");
+        }
+
+        return completeLogin(req, res, user, true);
+    } catch (err) {
+        console.error("/auth/tokens/2fa error", err);
+        sendError(res, 500, "Internal server error");
+    }
+});
+
+router.post("/tokens/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (!isNonEmptyString(refreshToken)) {
+            return sendError(res, 400, "refreshToken is required");
+        }
+
+        if (!process.env.JWT_SECRET) {
+            return sendError(res, 500, "JWT secret not configured");
+        }
+
+        const tokens = await rotateRefreshToken(prisma, refreshToken);
+        res.json(tokens);
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return sendError(res, err.status, err.message);
+        }
+        console.error("/auth/tokens/refresh error", err);
+        sendError(res, 500, "Internal server error");
+    }
+});
+
+router.post("/logout", requireClearance(CLEARANCE.REGULAR, { skipTwoFactorPolicy: true }), async (req, res) => {
+    try {
+        // tokens minted before sessions existed carry no sid; there is nothing to revoke for them
+        if (req.auth.sid) {
+            await revokeSession(prisma, String(req.auth.sid), "logout");
+        }
+        res.status(204).send();
+    } catch (err) {
+        console.error("/auth/logout error", err);
+        sendError(res, 500, "Internal server error");
+    }
+});
+
 router.post("/resets", async (req, res) => {
     try {
         const { utorid } = req.body || {};
@@ -143,7 +284,17 @@ router.post("/resets", async (req, res) => {
             },
         });
 
-        res.status(202).json({ expiresAt: expiresAt.toISOString(), resetToken });
+        // with delivery on, the email is the only way the token reaches the user
+        const sent = await sendPasswordResetEmail(user, { resetToken, expiresAt });
+        if (!sent && isDeliveryEnabled()) {
+            return sendError(res, 502, "Could not send the password reset email; try again later");
+        }
+
+        const response = { expiresAt: expiresAt.toISOString() };
+        if (shouldExposeTokens()) {
+            response.resetToken = resetToken;
+        }
+        res.status(202).json(response);
     } catch (err) {
         console.error("/auth/resets error", err);
         sendError(res, 500, "Internal server error");
@@ -1,6 +1,8 @@
 const { expressjwt: jwt } = require('express-jwt');
 require('dotenv').config();
 const { PrismaClient} = require('@prisma/client');
+const { findSessionError } = require('./utils/sessions');
+const { effectivePermissions, hasPermission } = require('./utils/permissions');
 const prisma = new PrismaClient();
 
 const CLEARANCE = {
@@ -21,6 +23,13 @@ function roleRank(role) {
   }
 }
 
+// TWO_FACTOR_REQUIRED_ROLE (e.g. 'manager') makes 2FA mandatory for that role and above
+function twoFactorRequiredFor(role) {
+  const policyRole = process.env.TWO_FACTOR_REQUIRED_ROLE;
+  if (!policyRole) return false;
+  return roleRank(role) >= roleRank(policyRole);
+}
+
 const requireAuth = jwt({
   secret: process.env.JWT_SECRET,
   algorithms: ['HS256'],
@@ -38,10 +47,20 @@ async function attachUser(req, res, next) {
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { id: true, utorid: true, role: true, verified: true, suspicious: true },
+      select: {
+        id: true, utorid: true, role: true, verified: true, suspicious: true, sessionsRevokedAt: true,
+        permissionOverrides: { select: { permission: true, granted: true } },
+      },
     });
     if (!user) return res.status(401).json({ error: 'User not found' });
 
+    // logged out, revoked by a manager, or killed by refresh token reuse
+    const sessionError = await findSessionError(prisma, req.auth, user);
+    if (sessionError) return res.status(401).json({ error: sessionError });
+
+    // role defaults plus per-user grants/revokes, checked by requirePermission
+    user.permissions = effectivePermissions(user.role, user.permissionOverrides);
+
     req.user = user; // keep it just in case                        
     // overwrite req.auth with fresh info from DB
     req.auth = {
@@ -57,8 +76,18 @@ async function attachUser(req, res, next) {
 }
 
 
+// options.skipTwoFactorPolicy lets not-yet-enrolled users reach the 2FA enrollment routes
+function enforceTwoFactorPolicy(options = {}) {
+  return (req, res, next) => {
+    if (!options.skipTwoFactorPolicy && twoFactorRequiredFor(req.auth.role) && req.auth.mfa !== true) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role', twoFactorRequired: true });
+    }
+    next();
+  };
+}
+
 // updated requireClearance to use async attachUser to update user role from DB
-function requireClearance(minClearance) {
+function requireClearance(minClearance, options = {}) {
   if (minClearance === CLEARANCE.ANY) return (req, _res, next) => next();
   return [
     requireAuth,
@@ -75,6 +104,23 @@ function requireClearance(minClearance) {
       };
       next();
     },
+    enforceTwoFactorPolicy(options),
+  ];
+}
+
+// named-permission counterpart of requireClearance, see routes/utils/permissions.js
+function requirePermission(permission, options = {}) {
+  return [
+    requireAuth,
+    attachUser,
+    (req, res, next) => {
+      if (!hasPermission(req.user, permission)) {
+        console.log(`User ${req.auth?.uid} lacks permission ${permission} (${req.originalUrl})`);
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      next();
+    },
+    enforceTwoFactorPolicy(options),
   ];
 }
 
@@ -107,12 +153,15 @@ function requireClearanceUpdateRole(minClearance) {
       }
       const user = await prisma.user.findUnique({
         where: { id: req.auth.sub },
-        select: { role: true },
+        select: { id: true, role: true, sessionsRevokedAt: true },
       });
       
       if (!user)
         return res.status(403).json({ error: 'forbidden' });
 
+      const sessionError = await findSessionError(prisma, req.auth, user);
+      if (sessionError) return res.status(401).json({ error: sessionError });
+
       const userRank = roleRank(user.role);
       if (userRank < minClearance)
         return res.status(403).json({ error: 'Forbidden' });
@@ -127,7 +176,7 @@ function requireClearanceUpdateRole(minClearance) {
 }
 
 
-module.exports = { CLEARANCE, requireClearance, requireAuth, roleRank, validatePayload, requireClearanceUpdateRole, attachUser};
+module.exports = { CLEARANCE, requireClearance, requirePermission, hasPermission, requireAuth, roleRank, validatePayload, requireClearanceUpdateRole, attachUser, twoFactorRequiredFor};
 
 // temp_middleware.js
 // require('dotenv').config();
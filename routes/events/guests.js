@@ -1,7 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
-const { CLEARANCE, requireClearance, roleRank, requireClearanceUpdateRole } = require('../auth_middleware');
+const { CLEARANCE, requireClearance, requirePermission, hasPermission, requireClearanceUpdateRole } = require('../auth_middleware');
+const { auditLog, paramId } = require('../utils/audit');
 
 const router = express.Router({ mergeParams: true });
 
@@ -14,7 +15,7 @@ async function isOrganizer(userId, eventId) {
 }
 
 /* POST /events/:eventId/guests  (Manager or Organizer) */
-router.post('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.post('/', requireClearance(CLEARANCE.REGULAR), auditLog('event.guest_add', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     if (!Number.isInteger(eventId)) return res.status(400).json({ error: 'Invalid eventId' });
@@ -22,7 +23,7 @@ router.post('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
     const ev = await prisma.event.findUnique({ where: { id: eventId }, include: { _count: { select: { guests: true } } } });
     if (!ev) return res.status(404).json({ error: 'Event not found' });
 
-    const isMgr = roleRank(req.auth.role) >= 3;
+    const isMgr = hasPermission(req.user, 'events.manage');
     const isOrg = await isOrganizer(req.auth.sub, eventId);
     if (!isMgr && !isOrg) return res.status(403).json({ error: 'Forbidden' });
 
@@ -62,7 +63,7 @@ router.post('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
 });
 
 /* DELETE /events/:eventId/guests/me  (REGULAR self-unRSVP) */
-router.delete('/me', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.delete('/me', requireClearance(CLEARANCE.REGULAR), auditLog('event.rsvp_cancel', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     if (!Number.isInteger(eventId)) return res.status(400).json({ error: 'Invalid eventId' });
@@ -83,7 +84,7 @@ router.delete('/me', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
 
 
 /* DELETE /events/:eventId/guests/:userId  (Manager only) */
-router.delete('/:userId', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+router.delete('/:userId', requirePermission('events.manage'), auditLog('event.guest_remove', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     const userId = Number(req.params.userId);
@@ -103,7 +104,7 @@ router.delete('/:userId', requireClearance(CLEARANCE.MANAGER), async (req, res)
 });
 
 /* POST /events/:eventId/guests/me  (REGULAR self-RSVP) */
-router.post('/me', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.post('/me', requireClearance(CLEARANCE.REGULAR), auditLog('event.rsvp', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     if (!Number.isInteger(eventId)) return res.status(400).json({ error: 'Invalid eventId' });
@@ -6,7 +6,8 @@ const organizersRouter = require('./organizers');
 const guestsRouter = require('./guests');
 const eventTxRouter = require('./transactions');
 
-const { CLEARANCE, requireClearance, roleRank } = require('../auth_middleware');
+const { CLEARANCE, requireClearance, requirePermission, hasPermission } = require('../auth_middleware');
+const { auditLog, paramId } = require('../utils/audit');
 
 
 const router = express.Router();
@@ -19,7 +20,7 @@ function isTrue(v) {
 
 // Distinguish between manager (including superuser) and organizer
 async function isManagerOrOrganizer(req, eventId) {
-  if (roleRank(req.auth.role) >= 3) return true; // manager (3) or superuser (4)
+  if (hasPermission(req.user, 'events.manage')) return true; // managers by default
   // organizer?
   const organizer = await prisma.eventOrganizer.findUnique({
     where: { eventId_userId: { eventId, userId: req.auth.sub } }, // (eventId, userId) as composite PK
@@ -30,6 +31,9 @@ async function isManagerOrOrganizer(req, eventId) {
 
 const isPositiveInt = (n) => Number.isInteger(n) && n > 0;
 
+// audit snapshot: event fields only, guest/organizer changes are logged by their own routes
+const loadEventSnapshot = (id) => prisma.event.findUnique({ where: { id } });
+
 function parseISO(s) {
   const d = new Date(s);
   return Number.isNaN(d.getTime()) ? null : d;
@@ -37,7 +41,7 @@ function parseISO(s) {
 
 
 /* POST Create Event */
-router.post("/", requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+router.post("/", requirePermission('events.manage'), auditLog('event.create', 'event', { load: loadEventSnapshot }), async (req, res) => {
   try {
     const { name, description, location, startTime, endTime, capacity, points } = req.body || {};
 
@@ -114,7 +118,7 @@ router.post("/", requireClearance(CLEARANCE.MANAGER), async (req, res) => {
 // Get
 router.get('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
   try {
-    const isManager = roleRank(req.auth.role) >= 3;
+    const isManager = hasPermission(req.user, 'events.manage');
     const {
       name, location, started, ended, showFull, page = '1', limit = '10', published
     } = req.query;
@@ -253,7 +257,11 @@ router.get('/:eventId', requireClearance(CLEARANCE.REGULAR), async (req, res) =>
 });
 
 
-router.patch('/:eventId', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.patch('/:eventId', requireClearance(CLEARANCE.REGULAR), auditLog(
+  (req) => (isTrue(req.body?.published) ? 'event.publish' : 'event.update'),
+  'event',
+  { entityId: paramId('eventId'), load: loadEventSnapshot }
+), async (req, res) => {
   try{
     const eventId = Number(req.params.eventId);
     if (!Number.isInteger(eventId)) {
@@ -277,20 +285,22 @@ router.patch('/:eventId', requireClearance(CLEARANCE.REGULAR), async (req, res)
 
     if (!ev) return res.status(404).json({ error: 'Event not found' });
 
-    const isMgr = roleRank(req.auth.role) >= 3;
+    const isMgr = hasPermission(req.user, 'events.manage');
+    const canPublish = hasPermission(req.user, 'events.publish');
     const isOrg = await prisma.eventOrganizer.findUnique({
       where: { eventId_userId: { eventId, userId: req.auth.sub } },
     });
 
-    if (!isMgr && !isOrg) return res.status(403).json({ error: 'Forbidden' });
+    if (!isMgr && !canPublish && !isOrg) return res.status(403).json({ error: 'Forbidden' });
 
     // Organizer can update: name, description, location, startTime, endTime, capacity
-    // Manager can also set: points, published=true
-    const allowedForOrganizer = new Set(['name', 'description', 'location', 'startTime', 'endTime', 'capacity']);
-    const allowedForManager = new Set([...allowedForOrganizer, 'points', 'published']);
+    // events.manage adds points, events.publish adds published=true
+    const allowed = new Set();
+    if (isMgr || isOrg) ['name', 'description', 'location', 'startTime', 'endTime', 'capacity'].forEach(k => allowed.add(k));
+    if (isMgr) allowed.add('points');
+    if (canPublish) allowed.add('published');
 
     const payload = req.body || {};
-    const allowed = isMgr ? allowedForManager : allowedForOrganizer;
 
     for (const k of Object.keys(payload)) {
       if (!allowed.has(k)) return res.status(403).json({ error: `Field '${k}' not allowed` });
@@ -431,7 +441,7 @@ router.patch('/:eventId', requireClearance(CLEARANCE.REGULAR), async (req, res)
       updates.pointsRemain = newRemain;
     }
 
-    if (isMgr && payload.published !== undefined && payload.published !== null) {
+    if (canPublish && payload.published !== undefined && payload.published !== null) {
       if (!isTrue(payload.published)) {
         console.log("1 Invalid published 400 in patch:", payload.published);
         return res.status(400).json({ error: 'published can only be set to true' });
@@ -454,7 +464,7 @@ router.patch('/:eventId', requireClearance(CLEARANCE.REGULAR), async (req, res)
 });
 
 /* DELETE /events/:eventId */
-router.delete('/:eventId', requireClearance(CLEARANCE.MANAGER),  async (req, res) => {
+router.delete('/:eventId', requirePermission('events.manage'), auditLog('event.delete', 'event', { entityId: paramId('eventId'), load: loadEventSnapshot }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     if (!Number.isInteger(eventId)) return res.status(400).json({ error: 'Invalid eventId' });
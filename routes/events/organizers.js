@@ -1,12 +1,13 @@
 const express = require('express');
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
-const { CLEARANCE, requireClearance, roleRank } = require('../auth_middleware');
+const { requirePermission } = require('../auth_middleware');
+const { auditLog, paramId } = require('../utils/audit');
 
 const router = express.Router({ mergeParams: true });
 
 /* POST /events/:eventId/organizers  (Manager only) */
-router.post('/', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+router.post('/', requirePermission('events.manage'), auditLog('event.organizer_add', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     const { utorid } = req.body || {};
@@ -48,7 +49,7 @@ router.post('/', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
 });
 
 /* DELETE /events/:eventId/organizers/:userId  (Manager only) */
-router.delete('/:userId', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+router.delete('/:userId', requirePermission('events.manage'), auditLog('event.organizer_remove', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     const userId = Number(req.params.userId);
@@ -1,12 +1,14 @@
 const express = require('express');
 const { PrismaClient, TransactionType } = require('@prisma/client');
 const prisma = new PrismaClient();
-const { CLEARANCE, requireClearance, roleRank } = require('../auth_middleware');
+const { CLEARANCE, requireClearance, hasPermission } = require('../auth_middleware');
+const { auditLog, paramId } = require('../utils/audit');
+const { ACCOUNTS, creditUser } = require('../utils/ledger');
 
 const router = express.Router({ mergeParams: true });
 
 async function isManagerOrOrganizer(req, eventId) {
-  if (roleRank(req.auth.role) >= 3) return true;
+  if (hasPermission(req.user, 'events.manage')) return true;
   const org = await prisma.eventOrganizer.findUnique({
     where: { eventId_userId: { eventId, userId: req.auth.sub } },
   });
@@ -19,7 +21,7 @@ async function isManagerOrOrganizer(req, eventId) {
    - Only award to guests with confirmed=true
    - pointsRemain
 */
-router.post('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.post('/', requireClearance(CLEARANCE.REGULAR), auditLog('event.award', 'event', { entityId: paramId('eventId') }), async (req, res) => {
   try {
     const eventId = Number(req.params.eventId);
     if (!Number.isInteger(eventId)) {
@@ -102,10 +104,14 @@ router.post('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
         });
         createdTxs.push(row);
 
-        // Add points to recipient
-        await tx.user.update({
-          where: { id: r.id },
-          data: { points: { increment: amount } },
+        // Add points to recipient, drawn from the event's pool
+        await creditUser(tx, {
+          userId: r.id,
+          amount,
+          contra: ACCOUNTS.event(eventId),
+          transactionId: row.id,
+          memo: 'event award',
+          source: TransactionType.event,
         });
       }
 
@@ -0,0 +1,14 @@
+// Background jobs run by the server process; see routes/utils/scheduler.js
+const { PrismaClient } = require('@prisma/client');
+const { registerJob } = require('./utils/scheduler');
+const { expirePoints } = require('./utils/expiry');
+const { expireStaleRedemptions } = require('./utils/redemptions');
+const { recalculateTiers } = require('./utils/tiers');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+registerJob('points-expiry', Number(process.env.EXPIRY_JOB_INTERVAL_MS) || HOUR_MS, () => expirePoints(prisma));
+registerJob('redemption-expiry', Number(process.env.EXPIRY_JOB_INTERVAL_MS) || HOUR_MS, () => expireStaleRedemptions(prisma));
+registerJob('tier-recalculation', Number(process.env.TIER_JOB_INTERVAL_MS) || 24 * HOUR_MS, () => recalculateTiers(prisma));
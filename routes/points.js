@@ -0,0 +1,192 @@
+const { requirePermission } = require('./auth_middleware');
+const { validateEnum, validateNumber, validateBoolean, validateInputFields } = require('./utils/validators');
+const { findBalanceMismatches, findUnbalancedJournals, repairBalance } = require('./utils/ledger');
+const { getExpiryPolicy, updateExpiryPolicy, expirePoints } = require('./utils/expiry');
+const { getRedemptionPolicy, updateRedemptionPolicy } = require('./utils/redemptions');
+const { TIER_BASES, validateTiers, getTierPolicy, updateTierPolicy, recalculateTiers } = require('./utils/tiers');
+const { auditLog } = require('./utils/audit');
+const { PrismaClient, TransactionType } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+const express = require("express");
+const router = express.Router();
+
+const REPAIR_STRATEGIES = ['ledger', 'points'];
+
+async function reconciliationReport(client) {
+    const [mismatches, unbalancedJournals] = await Promise.all([
+        findBalanceMismatches(client),
+        findUnbalancedJournals(client),
+    ]);
+    return { count: mismatches.length, mismatches, unbalancedJournals };
+}
+
+// every user whose stored points disagree with their ledger account
+router.get('/reconciliation', requirePermission('points.reconcile'), async (req, res) => {
+    try {
+        res.status(200).json(await reconciliationReport(prisma));
+    } catch (err) {
+        res.status(500).json({ 'error': `error reconciling points: ${err.message}` });
+    }
+});
+
+// repair mismatched balances; strategy 'ledger' (default) trusts the ledger, 'points' books the
+// stored balance into the ledger as an opening entry. userIds limits the repair to those users.
+router.post('/reconciliation', requirePermission('points.reconcile'), auditLog('points.reconcile', 'ledger'), async (req, res) => {
+    const { strategy = 'ledger', userIds } = req.body || {};
+    if (validateInputFields([
+        () => validateEnum(strategy, 'strategy', REPAIR_STRATEGIES),
+    ], res)) return;
+
+    if (userIds !== undefined && (!Array.isArray(userIds) || !userIds.every(id => Number.isInteger(id)))) {
+        return res.status(400).json({ 'error': 'userIds should be an array of user ids' });
+    }
+
+    try {
+        const repaired = await prisma.$transaction(async (tx) => {
+            const mismatches = await findBalanceMismatches(tx);
+            const selected = userIds === undefined
+                ? mismatches
+                : mismatches.filter(row => userIds.includes(row.userId));
+
+            const results = [];
+            for (const row of selected) {
+                const points = await repairBalance(tx, row.userId, strategy);
+                results.push({ userId: row.userId, utorid: row.utorid, before: row.points, after: points });
+            }
+            return results;
+        });
+
+        res.status(200).json({ strategy, repaired, ...(await reconciliationReport(prisma)) });
+    } catch (err) {
+        res.status(500).json({ 'error': `error repairing points: ${err.message}` });
+    }
+});
+
+router.all('/reconciliation', async (req, res) => {
+    res.status(405).json({ 'error': 'Method Not Allowed' });
+});
+
+// points of these kinds can be configured to expire
+const EXPIRABLE_SOURCES = [TransactionType.purchase, TransactionType.event, TransactionType.adjustment, TransactionType.transfer];
+
+router.get('/expiry-policy', requirePermission('points.policy'), async (req, res) => {
+    try {
+        res.status(200).json(await getExpiryPolicy(prisma));
+    } catch (err) {
+        res.status(500).json({ 'error': `error reading expiry policy: ${err.message}` });
+    }
+});
+
+router.patch('/expiry-policy', requirePermission('points.policy'), auditLog('points.expiry_policy', 'setting'), async (req, res) => {
+    const { enabled, months, sources, noticeDays } = req.body || {};
+    if (validateInputFields([
+        () => validateBoolean(enabled, 'enabled'),
+        () => validateNumber(months, 'months', { requireInteger: true, minValue: 1 }),
+        () => validateNumber(noticeDays, 'noticeDays', { requireInteger: true, minValue: 0 }),
+    ], res)) return;
+
+    if (sources !== undefined && (!Array.isArray(sources) || !sources.every(source => EXPIRABLE_SOURCES.includes(source)))) {
+        return res.status(400).json({ 'error': `Bad Request: sources should be a list of ${EXPIRABLE_SOURCES.join(', ')}` });
+    }
+
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = enabled === true || enabled === 'true' || enabled === 'True';
+    if (months !== undefined) changes.months = months;
+    if (sources !== undefined) changes.sources = [...new Set(sources)];
+    if (noticeDays !== undefined) changes.noticeDays = noticeDays;
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ 'error': 'Bad Request: no fields to update' });
+    }
+
+    try {
+        res.status(200).json(await updateExpiryPolicy(prisma, changes, req.auth.uid));
+    } catch (err) {
+        res.status(500).json({ 'error': `error updating expiry policy: ${err.message}` });
+    }
+});
+
+// run the expiry job now instead of waiting for the scheduler
+router.post('/expirations', requirePermission('points.policy'), auditLog('points.expire', 'ledger'), async (req, res) => {
+    try {
+        res.status(200).json(await expirePoints(prisma));
+    } catch (err) {
+        res.status(500).json({ 'error': `error expiring points: ${err.message}` });
+    }
+});
+
+// how long a redemption may wait for a cashier before it expires
+router.get('/redemption-policy', requirePermission('points.policy'), async (req, res) => {
+    try {
+        res.status(200).json(await getRedemptionPolicy(prisma));
+    } catch (err) {
+        res.status(500).json({ 'error': `error reading redemption policy: ${err.message}` });
+    }
+});
+
+router.patch('/redemption-policy', requirePermission('points.policy'), auditLog('points.redemption_policy', 'setting'), async (req, res) => {
+    const { enabled, days } = req.body || {};
+    if (validateInputFields([
+        () => validateBoolean(enabled, 'enabled'),
+        () => validateNumber(days, 'days', { requireInteger: true, minValue: 1 }),
+    ], res)) return;
+
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = enabled === true || enabled === 'true' || enabled === 'True';
+    if (days !== undefined) changes.days = days;
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ 'error': 'Bad Request: no fields to update' });
+    }
+
+    try {
+        res.status(200).json(await updateRedemptionPolicy(prisma, changes, req.auth.uid));
+    } catch (err) {
+        res.status(500).json({ 'error': `error updating redemption policy: ${err.message}` });
+    }
+});
+
+// membership tiers: thresholds, multipliers and what they are measured on
+router.get('/tier-policy', requirePermission('points.policy'), async (req, res) => {
+    try {
+        res.status(200).json(await getTierPolicy(prisma));
+    } catch (err) {
+        res.status(500).json({ 'error': `error reading tier policy: ${err.message}` });
+    }
+});
+
+// new thresholds take effect on the next recalculation
+router.patch('/tier-policy', requirePermission('points.policy'), auditLog('points.tier_policy', 'setting'), async (req, res) => {
+    const { enabled, basis, downgrades, tiers } = req.body || {};
+    if (validateInputFields([
+        () => validateBoolean(enabled, 'enabled'),
+        () => validateEnum(basis, 'basis', TIER_BASES, { required: false }),
+        () => validateBoolean(downgrades, 'downgrades'),
+        () => validateTiers(tiers),
+    ], res)) return;
+
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = enabled === true || enabled === 'true' || enabled === 'True';
+    if (basis !== undefined) changes.basis = basis;
+    if (downgrades !== undefined) changes.downgrades = downgrades === true || downgrades === 'true' || downgrades === 'True';
+    if (tiers !== undefined) changes.tiers = tiers.map(({ name, threshold, multiplier }) => ({ name: name.trim(), threshold, multiplier }));
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ 'error': 'Bad Request: no fields to update' });
+    }
+
+    try {
+        res.status(200).json(await updateTierPolicy(prisma, changes, req.auth.uid));
+    } catch (err) {
+        res.status(500).json({ 'error': `error updating tier policy: ${err.message}` });
+    }
+});
+
+// run the tier job now instead of waiting for the scheduler
+router.post('/tier-recalculations', requirePermission('points.policy'), auditLog('points.recalculate_tiers', 'user'), async (req, res) => {
+    try {
+        res.status(200).json(await recalculateTiers(prisma));
+    } catch (err) {
+        res.status(500).json({ 'error': `error recalculating tiers: ${err.message}` });
+    }
+});
+
+module.exports = router;
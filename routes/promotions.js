@@ -1,11 +1,80 @@
-const { CLEARANCE, requireClearance, roleRank } = require('./auth_middleware');
+const { CLEARANCE, requireClearance, requirePermission, hasPermission } = require('./auth_middleware');
 const { validateString, validateEnum, validateDate, validateNumber, validateBoolean, validateInputFields } = require('./utils/validators');
-const { PrismaClient, PromotionType } = require('@prisma/client');
+const { PrismaClient, PromotionType, PromotionStatus } = require('@prisma/client');
+const { auditLog, paramId } = require('./utils/audit');
+const { STACKING_VALUES, toStacking, fromStacking } = require('./utils/promotion_rules');
+const { validateSegment, splitSegment, describeSegment, segmentInclude, loadMember, matchesSegment } = require('./utils/segments');
+const { usageSummary, usesByUser, hasUsesLeft } = require('./utils/promotion_limits');
+const { MAX_CODES_PER_REQUEST, normalizeCode, generateUniqueCodes } = require('./utils/promotion_codes');
+const { validateRecurrence, parseRecurrence, matchesRecurrence, startedBy, endedBy } = require('./utils/recurrence');
+const { promotionStats } = require('./utils/promotion_stats');
+const { STATES, TRANSITIONS, promotionState, stateWhere, reapprovalData } = require('./utils/promotion_lifecycle');
 
 const prisma = new PrismaClient();
 const express = require("express");
 const router = express.Router();
 
+const loadPromotionSnapshot = (id) => prisma.promotion.findUnique({ where: { id } });
+
+// stacking and limit fields as they are shown to clients
+const promotionSelect = {
+    stacking: true,
+    group: true,
+    priority: true,
+    maxBonus: true,
+    maxUsesPerUser: true,
+    maxUses: true,
+    budget: true,
+    requiresCode: true,
+    recurrence: true,
+};
+
+// workflow fields for managers
+const lifecycleSelect = {
+    status: true,
+    createdById: true,
+    submittedById: true,
+    approvedById: true,
+    approvedAt: true,
+    archivedAt: true,
+    clonedFromId: true,
+};
+
+// targeting as managers see it, utorid list included
+const segmentSelect = {
+    segment: true,
+    segmentUsers: { select: { user: { select: { utorid: true } } } },
+};
+
+// the segment and lifecycle state are only shown when they were selected
+const formatPromotion = ({ segmentUsers, _count, ...promotion }) => ({
+    ...promotion,
+    ...('status' in promotion ? { status: promotionState(promotion) } : {}),
+    stacking: fromStacking(promotion.stacking),
+    ...('recurrence' in promotion ? { recurrence: parseRecurrence(promotion) } : {}),
+    ...('segment' in promotion ? { segment: describeSegment({ segment: promotion.segment, segmentUsers }) } : {}),
+});
+
+// user ids for a segment's utorid list; returns { userIds } or { error }
+async function resolveSegmentUsers(utorids) {
+    const users = await prisma.user.findMany({
+        where: { utorid: { in: utorids } },
+        select: { id: true, utorid: true },
+    });
+    const unknown = utorids.filter(utorid => !users.some(user => user.utorid === utorid));
+    if (unknown.length > 0) {
+        return { error: `Bad Request: unknown utorids in segment: ${unknown.join(', ')}` };
+    }
+    return { userIds: users.map(user => user.id) };
+}
+
+const segmentUsersCreate = (userIds) => userIds.map(userId => ({ user: { connect: { id: userId } } }));
+
+const groupMissing = (stacking, group) =>
+    stacking === 'best-of-group' && !group
+        ? 'group is required for best-of-group promotions'
+        : null;
+
 const validators = {
     name(name, required = true) {
         return validateString(name, 'name', { required });
@@ -43,6 +112,38 @@ const validators = {
         return validateNumber(points, 'points', { required, requireInteger: true, minValue: 0, minInclusive: true });
     },
 
+    stacking(stacking, required = false) {
+        return validateEnum(stacking, 'stacking', Object.keys(STACKING_VALUES), { required });
+    },
+
+    group(group, required = false) {
+        return validateString(group, 'group', { required });
+    },
+
+    priority(priority, required = false) {
+        return validateNumber(priority, 'priority', { required, requireInteger: true });
+    },
+
+    maxBonus(maxBonus, required = false) {
+        return validateNumber(maxBonus, 'maxBonus', { required, requireInteger: true, minValue: 0, minInclusive: true });
+    },
+
+    maxUsesPerUser(maxUsesPerUser, required = false) {
+        return validateNumber(maxUsesPerUser, 'maxUsesPerUser', { required, requireInteger: true, minValue: 1 });
+    },
+
+    maxUses(maxUses, required = false) {
+        return validateNumber(maxUses, 'maxUses', { required, requireInteger: true, minValue: 1 });
+    },
+
+    budget(budget, required = false) {
+        return validateNumber(budget, 'budget', { required, requireInteger: true, minValue: 0, minInclusive: true });
+    },
+
+    requiresCode(requiresCode, required = false) {
+        return validateBoolean(requiresCode, 'requiresCode', { required });
+    },
+
     page(page, required = false) {
         return validateNumber(page, 'page', { required, minValue: 0, minInclusive: true });
     },
@@ -59,13 +160,21 @@ const validators = {
         return validateBoolean(ended, 'ended', { required });
     },
 
+    status(status, required = false) {
+        return validateEnum(status, 'status', Object.values(STATES), { required });
+    },
+
+    transition(status, required = true) {
+        return validateEnum(status, 'status', Object.keys(TRANSITIONS), { required });
+    },
+
     promotionId(promotionId, required = true) {
         return validateNumber(promotionId, 'promotionId', { required });
     },
 };
 
 // create a new promotion
-router.post('/', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+router.post('/', requirePermission('promotions.manage'), auditLog('promotion.create', 'promotion', { load: loadPromotionSnapshot }), async (req, res) => {
     const {
         name,
         description,
@@ -75,6 +184,16 @@ router.post('/', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
         minSpending,
         rate,
         points,
+        stacking = 'stackable',
+        group,
+        priority,
+        maxBonus,
+        maxUsesPerUser,
+        maxUses,
+        budget,
+        requiresCode,
+        recurrence,
+        segment,
     } = req.body;
 
     if (validateInputFields([
@@ -86,7 +205,24 @@ router.post('/', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
         () => validators.minSpending(minSpending),
         () => validators.rate(rate),
         () => validators.points(points),
+        () => validators.stacking(stacking),
+        () => validators.group(group),
+        () => validators.priority(priority),
+        () => validators.maxBonus(maxBonus),
+        () => groupMissing(stacking, group),
+        () => validators.maxUsesPerUser(maxUsesPerUser),
+        () => validators.maxUses(maxUses),
+        () => validators.budget(budget),
+        () => validators.requiresCode(requiresCode),
+        () => validateRecurrence(recurrence),
+        () => validateSegment(segment),
     ], res)) return;
+
+    const { criteria, utorids } = splitSegment(segment);
+    const { userIds, error } = await resolveSegmentUsers(utorids);
+    if (error) {
+        return res.status(400).json({ 'error': error });
+    }
     
     const startTimeDate = new Date(startTime);
     const endTimeDate = new Date(endTime);
@@ -102,19 +238,31 @@ router.post('/', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
             minSpending: minSpending ?? null,
             rate: rate ?? null,
             points: points ?? null,
+            stacking: toStacking(stacking),
+            group: group ?? null,
+            priority: priority ?? 0,
+            maxBonus: maxBonus ?? null,
+            maxUsesPerUser: maxUsesPerUser ?? null,
+            maxUses: maxUses ?? null,
+            budget: budget ?? null,
+            requiresCode: requiresCode === true || requiresCode === 'true',
+            recurrence: recurrence ? JSON.stringify(recurrence) : null,
+            segment: criteria,
+            segmentUsers: { create: segmentUsersCreate(userIds) },
+            // new promotions wait for a second manager's approval before they apply
+            status: PromotionStatus.draft,
+            createdById: req.auth.uid,
         },
+        include: { segmentUsers: segmentSelect.segmentUsers },
     });
 
-    res.status(201).json(newPromotion);
+    res.status(201).json(formatPromotion(newPromotion));
 });
 
 // retrieve a list of promotions: different features depending on role (manager vs regular)
 router.get('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
-    const rank = roleRank(req.auth?.role);
-    const isManagerOrHigher = rank >= 3;
-    const isRegular = req.auth?.role === 'regular';
-    const isCashier = req.auth?.role === 'cashier';
-    const { name, type, page, limit, started, ended } = req.query;
+    const isManagerOrHigher = hasPermission(req.user, 'promotions.manage');
+    const { name, type, page, limit, started, ended, status } = req.query;
 
     const validations = [
         () => validators.name(name, false),
@@ -126,7 +274,8 @@ router.get('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
     if (isManagerOrHigher) {
         validations.push(
             () => validators.started(started, false),
-            () => validators.ended(ended, false)
+            () => validators.ended(ended, false),
+            () => validators.status(status, false)
         );
     }
 
@@ -148,71 +297,100 @@ router.get('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
         filters.type = { prismaType };
     }
 
+    // started/ended follow the recurrence, so they are checked in code after the query
+    const timeFilters = [];
     if (isManagerOrHigher) {
         if (started && ended) {
             return res.status(400).json({ 'error': 'Bad request: both "started" and "ended" fields are specified' });
         }
         if (started === true || started === "true") {
             filters.startTime = { lte: now };
+            timeFilters.push(promotion => startedBy(promotion, now));
         } else if (started === false || started === "false") {
-            filters.startTime = { gt: now };
+            timeFilters.push(promotion => !startedBy(promotion, now));
         }
         if (ended === true || ended === "true") {
-            filters.endTime = { lt: now };
+            timeFilters.push(promotion => endedBy(promotion, now));
         } else if (ended === false || ended === "false") {
             filters.endTime = { gte: now };
+            timeFilters.push(promotion => !endedBy(promotion, now));
         }
-    }
-    if (isRegular || isCashier) {
-        const userId = req.auth?.sub;
 
+        // archived promotions are only listed when asked for
+        if (status) {
+            filters.AND = [stateWhere(status, now)];
+        } else {
+            filters.status = { not: PromotionStatus.archived };
+        }
+    }
+    if (!isManagerOrHigher) {
         // regular user: show only active promotions
         filters.startTime = { lte: now };
         filters.endTime = { gt: now };
+        filters.status = PromotionStatus.approved;
 
-        // removed used promotions
-        let transactionIds = await prisma.transaction.findMany({
-            where: { userId },
-            select: { id: true }
+        // code-only promotions are handed out through their codes, not listed
+        filters.requiresCode = false;
+    }
+
+    const select = {
+        id: true,
+        name: true,
+        type: true,
+        startTime: isManagerOrHigher,
+        endTime: true,
+        minSpending: true,
+        rate: true,
+        points: true,
+        ...promotionSelect,
+    };
+
+    if (isManagerOrHigher && timeFilters.length === 0) {
+        const count = await prisma.promotion.count({ where: filters });
+        const results = await prisma.promotion.findMany({
+            where: filters,
+            skip,
+            take,
+            orderBy: { startTime: 'asc' },
+            select: { ...select, ...segmentSelect, ...lifecycleSelect },
         });
-        transactionIds = transactionIds.map(t => t.id);
-        let usedPromotionIds = await prisma.transactionPromotion.findMany({
-            where: { transactionId: { in: transactionIds } },
-            select: { promotionId: true }
+        return res.status(200).json({ count, results: results.map(formatPromotion) });
+    }
+    if (isManagerOrHigher) {
+        const matching = (await prisma.promotion.findMany({
+            where: filters,
+            orderBy: { startTime: 'asc' },
+            select: { ...select, ...segmentSelect, ...lifecycleSelect },
+        })).filter(promotion => timeFilters.every(filter => filter(promotion)));
+        return res.status(200).json({
+            count: matching.length,
+            results: matching.slice(skip, skip + take).map(formatPromotion),
         });
-        usedPromotionIds = usedPromotionIds.map(p => p.promotionId);
-        if (usedPromotionIds.length > 0) {
-            filters.id = { notIn: usedPromotionIds };
-        }
     }
 
-    const count = await prisma.promotion.count({ where: filters });
-    const results = await prisma.promotion.findMany({
+    // targeting and recurrence are checked in code, so regular users page through the promotions
+    // they qualify for right now
+    const userId = req.auth?.sub;
+    const member = await loadMember(prisma, userId);
+    // promotions the member has used up (one-time ones after one use) are left out
+    const uses = await usesByUser(prisma, userId);
+    const visible = (await prisma.promotion.findMany({
         where: filters,
-        skip,
-        take,
         orderBy: { startTime: 'asc' },
-        select: {
-            id: true,
-            name: true,
-            type: true,
-            startTime: isManagerOrHigher,
-            endTime: true,
-            minSpending: true,
-            rate: true,
-            points: true,
-        },
-    });
-    
-    res.status(200).json({ count, results });
+        select: { ...select, segment: true, ...segmentInclude(userId) },
+    })).filter(promotion =>
+        matchesRecurrence(promotion, now) &&
+        matchesSegment(promotion, member) &&
+        hasUsesLeft(promotion, uses.get(promotion.id) ?? 0));
+
+    const results = visible.slice(skip, skip + take).map(({ segment, ...promotion }) => formatPromotion(promotion));
+    res.status(200).json({ count: visible.length, results });
 });
 
 // retrieve a single event: different features depending on role (manager vs regular)
 router.get('/:promotionId', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
     const promotionId = req.params["promotionId"];
-    const rank = roleRank(req.auth?.role);
-    const isManagerOrHigher = rank >= 3;
-    const isRegularOrHigher = rank >= 1;
+    const isManagerOrHigher = hasPermission(req.user, 'promotions.manage');
 
     const validations = [
         () => validators.promotionId(promotionId, true),
@@ -223,9 +401,10 @@ router.get('/:promotionId', requireClearance(CLEARANCE.REGULAR), async (req, res
     let filters = {}
     if (isManagerOrHigher) {
         filters.id = parseInt(promotionId);
-    } else if (isRegularOrHigher) {
+    } else {
         filters.startTime = { lte: now };
         filters.endTime = { gte: now };
+        filters.status = PromotionStatus.approved;
         filters.id = parseInt(promotionId);
     }
     const promotion = await prisma.promotion.findUnique({
@@ -240,16 +419,31 @@ router.get('/:promotionId', requireClearance(CLEARANCE.REGULAR), async (req, res
             minSpending: true,
             rate: true,
             points: true,
+            ...promotionSelect,
+            ...(isManagerOrHigher
+                ? { ...segmentSelect, ...lifecycleSelect, usesCount: true, bonusIssued: true }
+                : { segment: true, ...segmentInclude(req.auth.sub) }),
         },
     })
     if (!promotion) {
         return res.status(404).json({ 'error': 'Promotion not found' })
     }
-    res.status(200).json(promotion);
+    if (isManagerOrHigher) {
+        return res.status(200).json({ ...formatPromotion(promotion), ...usageSummary(promotion) });
+    }
+
+    // promotions targeted at other members, only available by code or off schedule right now do not exist
+    // as far as this one is concerned
+    if (promotion.requiresCode || !matchesRecurrence(promotion, now) ||
+            !matchesSegment(promotion, await loadMember(prisma, req.auth.sub))) {
+        return res.status(404).json({ 'error': 'Promotion not found' })
+    }
+    const { segment, ...visible } = promotion;
+    res.status(200).json(formatPromotion(visible));
 });
 
 // update an existing promotion
-router.patch('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+router.patch('/:promotionId', requirePermission('promotions.manage'), auditLog('promotion.update', 'promotion', { entityId: paramId('promotionId'), load: loadPromotionSnapshot }), async (req, res) => {
     const promotionId = req.params["promotionId"];
     const {
         name,
@@ -260,6 +454,16 @@ router.patch('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, r
         minSpending,
         rate,
         points,
+        stacking,
+        group,
+        priority,
+        maxBonus,
+        maxUsesPerUser,
+        maxUses,
+        budget,
+        requiresCode,
+        recurrence,
+        segment,
     } = req.body;
 
     if (validateInputFields([
@@ -274,12 +478,17 @@ router.patch('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, r
         // console.log('Promotion not found');
         return res.status(404).json({ 'error': 'Promotion not found' });
     }
+    if (existingPromotion.status === PromotionStatus.archived) {
+        return res.status(400).json({ 'error': 'Bad Request: archived promotions cannot be updated' });
+    }
 
+    // drafts have never applied to anything, so only approved promotions freeze once they start
     const now = new Date();
+    const isApproved = existingPromotion.status === PromotionStatus.approved;
     const originalStartTime = new Date(existingPromotion.startTime);
     const originalEndTime = new Date(existingPromotion.endTime);
-    const hasStarted = originalStartTime < now;
-    const hasEnded = originalEndTime < now;
+    const hasStarted = isApproved && originalStartTime < now;
+    const hasEnded = isApproved && originalEndTime < now;
 
     const fieldsToUpdate = {};
 
@@ -369,8 +578,66 @@ router.patch('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, r
         fieldsToUpdate.points = points;
     }
 
+    // stacking fields change what a purchase earns, so they are frozen once the promotion starts too
+    const stackingFields = { stacking, group, priority, maxBonus };
+    for (const [field, value] of Object.entries(stackingFields)) {
+        if (value == null) continue;
+        validations.push(() => validators[field](value, true));
+        if (hasStarted) {
+            return res.status(400).json({ 'error': `Bad Request: cannot update ${field} after the original start time has passed` });
+        }
+        fieldsToUpdate[field] = field === 'stacking' ? toStacking(value) : value;
+    }
+    validations.push(() => groupMissing(
+        stacking ?? fromStacking(existingPromotion.stacking),
+        group ?? existingPromotion.group
+    ));
+
+    if (requiresCode != null) {
+        validations.push(() => validators.requiresCode(requiresCode, true));
+        if (hasStarted) {
+            return res.status(400).json({ 'error': 'Bad Request: cannot update requiresCode after the original start time has passed' });
+        }
+        fieldsToUpdate.requiresCode = requiresCode === true || requiresCode === 'true';
+    }
+
+    // the schedule may change until the promotion ends, e.g. to skip a holiday; null removes it
+    if (recurrence !== undefined) {
+        validations.push(() => validateRecurrence(recurrence));
+        if (hasEnded) {
+            return res.status(400).json({ 'error': 'Bad Request: cannot update recurrence after the original end time has passed' });
+        }
+        fieldsToUpdate.recurrence = recurrence ? JSON.stringify(recurrence) : null;
+    }
+
+    // limits may be raised or lowered at any time, e.g. to top up a budget that ran out
+    const limitFields = { maxUsesPerUser, maxUses, budget };
+    for (const [field, value] of Object.entries(limitFields)) {
+        if (value == null) continue;
+        validations.push(() => validators[field](value, true));
+        fieldsToUpdate[field] = value;
+    }
+
+    // segment: null opens the promotion to everyone again
+    if (segment !== undefined) {
+        validations.push(() => validateSegment(segment));
+        if (hasStarted) {
+            return res.status(400).json({ 'error': 'Bad Request: cannot update segment after the original start time has passed' });
+        }
+    }
+
     if (validateInputFields(validations, res)) return;
 
+    if (segment !== undefined) {
+        const { criteria, utorids } = splitSegment(segment);
+        const { userIds, error } = await resolveSegmentUsers(utorids);
+        if (error) {
+            return res.status(400).json({ 'error': error });
+        }
+        fieldsToUpdate.segment = criteria;
+        fieldsToUpdate.segmentUsers = { deleteMany: {}, create: segmentUsersCreate(userIds) };
+    }
+
     // no fields to update
     if (Object.keys(fieldsToUpdate).length === 0) {
         let existingPromotionType = existingPromotion.type === PromotionType.onetime ? 'one-time' : 'automatic';
@@ -383,7 +650,8 @@ router.patch('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, r
 
     const updatedPromotion = await prisma.promotion.update({
         where: { id: parseInt(promotionId) },
-        data: fieldsToUpdate,
+        data: { ...fieldsToUpdate, ...reapprovalData(existingPromotion, Object.keys(fieldsToUpdate)) },
+        include: { segmentUsers: segmentSelect.segmentUsers },
     });
 
     let updatedPromotionType = updatedPromotion.type === PromotionType.onetime ? 'one-time' : 'automatic';
@@ -399,12 +667,23 @@ router.patch('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, r
     if (minSpending != null) response.minSpending = updatedPromotion.minSpending;
     if (rate != null) response.rate = updatedPromotion.rate;
     if (points != null) response.points = updatedPromotion.points;
+    if (stacking != null) response.stacking = fromStacking(updatedPromotion.stacking);
+    if (group != null) response.group = updatedPromotion.group;
+    if (priority != null) response.priority = updatedPromotion.priority;
+    if (maxBonus != null) response.maxBonus = updatedPromotion.maxBonus;
+    if (segment !== undefined) response.segment = describeSegment(updatedPromotion);
+    if (requiresCode != null) response.requiresCode = updatedPromotion.requiresCode;
+    if (recurrence !== undefined) response.recurrence = parseRecurrence(updatedPromotion);
+    if (updatedPromotion.status !== existingPromotion.status) response.status = promotionState(updatedPromotion);
+    for (const field of Object.keys(limitFields)) {
+        if (limitFields[field] != null) response[field] = updatedPromotion[field];
+    }
 
     res.status(200).json(response);
 });
 
-// delete an existing promotion
-router.delete('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req, res) => {
+// archive a promotion: it stops applying and disappears for members, but transactions keep referring to it
+router.delete('/:promotionId', requirePermission('promotions.manage'), auditLog('promotion.archive', 'promotion', { entityId: paramId('promotionId'), load: loadPromotionSnapshot }), async (req, res) => {
     const promotionId = req.params["promotionId"];
 
     if (validateInputFields([
@@ -418,21 +697,253 @@ router.delete('/:promotionId', requireClearance(CLEARANCE.MANAGER), async (req,
     if (!existingPromotion) {
         return res.status(404).json({ 'error': 'Promotion not found' });
     } 
-    
-    const now = new Date();
-    const originalStartTime = new Date(existingPromotion.startTime);
-    const hasStarted = originalStartTime < now;
-    if (hasStarted) {
-        return res.status(403).json({ 'error': 'Forbidden to edit ongoing promotion' });
-    }
 
-    await prisma.promotion.delete({
-        where: { id: parseInt(promotionId) }
-    })
+    const archived = await prisma.promotion.updateMany({
+        where: { id: existingPromotion.id, status: { not: PromotionStatus.archived } },
+        data: { status: PromotionStatus.archived, archivedAt: new Date() },
+    });
+    if (archived.count === 0) {
+        return res.status(409).json({ 'error': 'Promotion is already archived' });
+    }
 
     res.status(204).send('No Content');
 });
 
+// move a promotion through review: submit a draft, approve it, or send it back to draft
+router.patch('/:promotionId/status', requirePermission('promotions.manage'), auditLog(
+    (req) => `promotion.${req.body?.status}`,
+    'promotion',
+    { entityId: paramId('promotionId'), load: loadPromotionSnapshot }
+), async (req, res) => {
+    const promotionId = req.params["promotionId"];
+    const { status } = req.body || {};
+
+    if (validateInputFields([
+        () => validators.promotionId(promotionId, true),
+        () => validators.transition(status, true),
+    ], res)) return;
+
+    try {
+        const promotion = await prisma.promotion.findUnique({ where: { id: parseInt(promotionId) } });
+        if (!promotion) {
+            return res.status(404).json({ 'error': 'Promotion not found' });
+        }
+
+        const { from, to } = TRANSITIONS[status];
+        const data = { status: to };
+        if (to === PromotionStatus.pending) {
+            data.submittedById = req.auth.uid;
+        }
+        if (to === PromotionStatus.approved) {
+            if (promotion.createdById === req.auth.uid || promotion.submittedById === req.auth.uid) {
+                return res.status(403).json({ 'error': 'Forbidden: a promotion must be approved by a manager other than the one who created or submitted it' });
+            }
+            if (promotion.endTime < new Date()) {
+                return res.status(400).json({ 'error': 'Bad Request: promotion has ended' });
+            }
+            data.approvedById = req.auth.uid;
+            data.approvedAt = new Date();
+        }
+
+        // claim the current status so two managers cannot both act on it
+        const moved = await prisma.promotion.updateMany({
+            where: { id: promotion.id, status: from },
+            data,
+        });
+        if (moved.count === 0) {
+            return res.status(409).json({ 'error': `Promotion is ${promotionState(promotion)}` });
+        }
+
+        const updated = await prisma.promotion.findUnique({
+            where: { id: promotion.id },
+            select: { id: true, name: true, startTime: true, endTime: true, ...lifecycleSelect },
+        });
+        res.status(200).json(formatPromotion(updated));
+    } catch (err) {
+        res.status(500).json({ 'error': `error updating promotion status: ${err.message}` });
+    }
+});
+
+// start a new draft from an existing promotion's terms; usage counters and codes are not copied
+router.post('/:promotionId/clone', requirePermission('promotions.manage'), auditLog('promotion.clone', 'promotion', { load: loadPromotionSnapshot }), async (req, res) => {
+    const promotionId = req.params["promotionId"];
+    const { name, startTime, endTime } = req.body || {};
+
+    if (validateInputFields([
+        () => validators.promotionId(promotionId, true),
+        () => validators.name(name, false),
+        () => validators.startTime(startTime),
+        () => validators.endTime(endTime, startTime),
+    ], res)) return;
+
+    try {
+        const source = await prisma.promotion.findUnique({
+            where: { id: parseInt(promotionId) },
+            include: { segmentUsers: { select: { userId: true } } },
+        });
+        if (!source) {
+            return res.status(404).json({ 'error': 'Promotion not found' });
+        }
+
+        const clone = await prisma.promotion.create({
+            data: {
+                name: name ?? source.name,
+                description: source.description,
+                type: source.type,
+                startTime: new Date(startTime),
+                endTime: new Date(endTime),
+                minSpending: source.minSpending,
+                rate: source.rate,
+                points: source.points,
+                recurrence: source.recurrence,
+                stacking: source.stacking,
+                group: source.group,
+                priority: source.priority,
+                maxBonus: source.maxBonus,
+                maxUsesPerUser: source.maxUsesPerUser,
+                maxUses: source.maxUses,
+                budget: source.budget,
+                requiresCode: source.requiresCode,
+                segment: source.segment,
+                segmentUsers: { create: segmentUsersCreate(source.segmentUsers.map(entry => entry.userId)) },
+                status: PromotionStatus.draft,
+                createdById: req.auth.uid,
+                clonedFromId: source.id,
+            },
+            include: { segmentUsers: segmentSelect.segmentUsers },
+        });
+
+        res.status(201).json(formatPromotion(clone));
+    } catch (err) {
+        res.status(500).json({ 'error': `error cloning promotion: ${err.message}` });
+    }
+});
+
+const CUSTOM_CODE_PATTERN = /^[A-Z0-9-]{4,32}$/;
+const CODE_PREFIX_PATTERN = /^[A-Z0-9-]{0,12}$/;
+
+// generate coupon codes for a promotion: `count` random ones, or the single custom `code`
+router.post('/:promotionId/codes', requirePermission('promotions.manage'), auditLog('promotion.codes_create', 'promotion', { entityId: paramId('promotionId') }), async (req, res) => {
+    const promotionId = req.params["promotionId"];
+    const { count, code, prefix = '', maxRedemptions = 1, expiresAt } = req.body || {};
+
+    if (validateInputFields([
+        () => validators.promotionId(promotionId, true),
+        () => validateNumber(count, 'count', { requireInteger: true, minValue: 1 }),
+        () => validateString(code, 'code', { required: false }),
+        () => validateString(prefix, 'prefix', { required: false }),
+        () => validateNumber(maxRedemptions, 'maxRedemptions', { requireInteger: true, minValue: 1 }),
+        () => validateDate(expiresAt, 'expiresAt', { required: false, mustNotBePast: true }),
+    ], res)) return;
+
+    if (count > MAX_CODES_PER_REQUEST) {
+        return res.status(400).json({ 'error': `Bad Request: at most ${MAX_CODES_PER_REQUEST} codes per request` });
+    }
+    if (code !== undefined && (count ?? 1) !== 1) {
+        return res.status(400).json({ 'error': 'Bad Request: a custom code cannot be combined with count' });
+    }
+    if (code !== undefined && !CUSTOM_CODE_PATTERN.test(normalizeCode(code))) {
+        return res.status(400).json({ 'error': 'Bad Request: code must be 4-32 letters, digits or dashes' });
+    }
+    if (!CODE_PREFIX_PATTERN.test(normalizeCode(prefix))) {
+        return res.status(400).json({ 'error': 'Bad Request: prefix must be up to 12 letters, digits or dashes' });
+    }
+
+    try {
+        const promotion = await prisma.promotion.findUnique({ where: { id: parseInt(promotionId) } });
+        if (!promotion) {
+            return res.status(404).json({ 'error': 'Promotion not found' });
+        }
+        if (promotion.endTime < new Date()) {
+            return res.status(400).json({ 'error': 'Bad Request: promotion has ended' });
+        }
+        if (promotion.status === PromotionStatus.archived) {
+            return res.status(400).json({ 'error': 'Bad Request: promotion is archived' });
+        }
+
+        const codes = await prisma.$transaction(async (tx) => {
+            const codes = code !== undefined
+                ? [normalizeCode(code)]
+                : await generateUniqueCodes(tx, count ?? 1, prefix);
+            await tx.promotionCode.createMany({
+                data: codes.map(value => ({
+                    code: value,
+                    promotionId: promotion.id,
+                    maxRedemptions,
+                    expiresAt: expiresAt ? new Date(expiresAt) : null,
+                    createdById: req.auth.uid,
+                })),
+            });
+            return codes;
+        });
+
+        res.status(201).json({
+            promotionId: promotion.id,
+            count: codes.length,
+            maxRedemptions,
+            expiresAt: expiresAt ? new Date(expiresAt) : null,
+            codes,
+        });
+    } catch (err) {
+        if (err.code === 'P2002') {
+            return res.status(409).json({ 'error': 'Promotion code already exists' });
+        }
+        res.status(500).json({ 'error': `error creating promotion codes: ${err.message}` });
+    }
+});
+
+// a promotion's codes with how often each was used
+router.get('/:promotionId/codes', requirePermission('promotions.manage'), async (req, res) => {
+    const promotionId = req.params["promotionId"];
+    const { page, limit } = req.query;
+
+    if (validateInputFields([
+        () => validators.promotionId(promotionId, true),
+        () => validators.page(page, false),
+        () => validators.limit(limit, false),
+    ], res)) return;
+
+    const pageNumber = parseInt(page) || 1;
+    const limitNumber = parseInt(limit) || 10;
+    const where = { promotionId: parseInt(promotionId) };
+
+    try {
+        const [count, results] = await Promise.all([
+            prisma.promotionCode.count({ where }),
+            prisma.promotionCode.findMany({
+                where,
+                orderBy: { id: 'asc' },
+                skip: (pageNumber - 1) * limitNumber,
+                take: limitNumber,
+                select: { code: true, maxRedemptions: true, redemptions: true, expiresAt: true, createdAt: true },
+            }),
+        ]);
+        res.status(200).json({ count, results });
+    } catch (err) {
+        res.status(500).json({ 'error': `error listing promotion codes: ${err.message}` });
+    }
+});
+
+// how the promotion performed so far against purchases without promotions
+router.get('/:promotionId/stats', requirePermission('promotions.manage'), async (req, res) => {
+    const promotionId = req.params["promotionId"];
+
+    if (validateInputFields([
+        () => validators.promotionId(promotionId, true),
+    ], res)) return;
+
+    try {
+        const promotion = await prisma.promotion.findUnique({ where: { id: parseInt(promotionId) } });
+        if (!promotion) {
+            return res.status(404).json({ 'error': 'Promotion not found' });
+        }
+
+        res.status(200).json(await promotionStats(prisma, promotion));
+    } catch (err) {
+        res.status(500).json({ 'error': `error computing promotion stats: ${err.message}` });
+    }
+});
+
 router.all('/', async (req, res) => {
     res.status(405).json({ 'error': 'Method Not Allowed' });
 });
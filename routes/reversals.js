@@ -0,0 +1,273 @@
+const { CLEARANCE, requireClearance, hasPermission } = require('./auth_middleware');
+const { validateString, validateEnum, validateNumber, validateInputFields } = require('./utils/validators');
+const { PrismaClient, TransactionType, ReversalStatus } = require('@prisma/client');
+const { HttpError } = require('./utils/errors');
+const { ACCOUNTS, postJournal } = require('./utils/ledger');
+const { pointsBalance } = require('./utils/redemptions');
+const { auditLog, paramId } = require('./utils/audit');
+
+const prisma = new PrismaClient();
+const express = require("express");
+const router = express.Router();
+
+const validators = {
+    transactionId(transactionId, required = true) {
+        return validateNumber(transactionId, 'transactionId', { required, requireInteger: true, minValue: 1 });
+    },
+
+    reason(reason, required = false) {
+        return validateString(reason, 'reason', { required });
+    },
+
+    status(status, allowedValues, required = false) {
+        return validateEnum(status, 'status', allowedValues, { required });
+    },
+
+    reversalId(reversalId, required = true) {
+        return validateNumber(Number(reversalId), 'reversalId', { required, requireInteger: true, minValue: 1 });
+    },
+};
+
+const reversalInclude = {
+    transfer: { select: { id: true, amount: true, userId: true, relatedUserId: true, relatedTransactionId: true, createdAt: true } },
+    requestedBy: { select: { utorid: true } },
+    decidedBy: { select: { utorid: true } },
+};
+
+const loadReversalSnapshot = (id) => prisma.transferReversal.findUnique({
+    where: { id },
+    select: { id: true, status: true, decidedById: true, reversalTransactionId: true },
+});
+
+function formatReversal(reversal) {
+    return {
+        id: reversal.id,
+        transferId: reversal.transferId,
+        senderId: reversal.transfer.userId,
+        recipientId: reversal.transfer.relatedUserId,
+        amount: Math.abs(reversal.transfer.amount),
+        status: reversal.status,
+        reason: reversal.reason ?? "",
+        requestedBy: reversal.requestedBy.utorid,
+        decidedBy: reversal.decidedBy ? reversal.decidedBy.utorid : null,
+        decidedAt: reversal.decidedAt,
+        reversalTransactionId: reversal.reversalTransactionId,
+        createdAt: reversal.createdAt,
+    };
+}
+
+const isManager = (req) => hasPermission(req.user, 'transfers.reverse');
+
+// sender asks to undo one of their transfers
+router.post('/', requireClearance(CLEARANCE.REGULAR), auditLog('reversal.request', 'reversal'), async (req, res) => {
+    const { transactionId, reason } = req.body || {};
+    if (validateInputFields([
+        () => validators.transactionId(transactionId),
+        () => validators.reason(reason),
+    ], res)) return;
+
+    const userId = req.auth.uid;
+    try {
+        let transfer = await prisma.transaction.findUnique({ where: { id: transactionId } });
+        // either half of the pair may be given; the request always points at the sender's half
+        if (transfer?.type === TransactionType.transfer && transfer.amount > 0 && transfer.relatedTransactionId) {
+            transfer = await prisma.transaction.findUnique({ where: { id: transfer.relatedTransactionId } });
+        }
+
+        if (!transfer || transfer.type !== TransactionType.transfer) {
+            return res.status(404).json({ 'error': 'Transfer not found' });
+        }
+        if (transfer.userId !== userId) {
+            return res.status(403).json({ 'error': 'Only the sender can request a reversal' });
+        }
+
+        const open = await prisma.transferReversal.findFirst({
+            where: { transferId: transfer.id, status: { in: [ReversalStatus.pending, ReversalStatus.approved] } },
+        });
+        if (open) {
+            return res.status(409).json({ 'error': `Transfer already has a ${open.status} reversal (id ${open.id})` });
+        }
+
+        const reversal = await prisma.transferReversal.create({
+            data: { transferId: transfer.id, requestedById: userId, reason: reason ?? null },
+            include: reversalInclude,
+        });
+        res.status(201).json(formatReversal(reversal));
+    } catch (err) {
+        res.status(500).json({ 'error': `error requesting reversal: ${err.message}` });
+    }
+});
+
+// reversals the caller is a party to; managers see all of them
+router.get('/', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+    const { status, page, limit } = req.query;
+    if (validateInputFields([
+        () => validators.status(status, Object.values(ReversalStatus)),
+        () => validateNumber(page === undefined ? undefined : Number(page), 'page', { requireInteger: true, minValue: 1 }),
+        () => validateNumber(limit === undefined ? undefined : Number(limit), 'limit', { requireInteger: true, minValue: 1 }),
+    ], res)) return;
+
+    const pageNumber = parseInt(page) || 1;
+    const limitNumber = parseInt(limit) || 10;
+
+    const filters = {};
+    if (status !== undefined) filters.status = status;
+    if (!isManager(req)) {
+        filters.transfer = { OR: [{ userId: req.auth.uid }, { relatedUserId: req.auth.uid }] };
+    }
+
+    try {
+        const [count, reversals] = await Promise.all([
+            prisma.transferReversal.count({ where: filters }),
+            prisma.transferReversal.findMany({
+                where: filters,
+                orderBy: { id: 'desc' },
+                skip: (pageNumber - 1) * limitNumber,
+                take: limitNumber,
+                include: reversalInclude,
+            }),
+        ]);
+        res.status(200).json({ count, results: reversals.map(formatReversal) });
+    } catch (err) {
+        res.status(500).json({ 'error': `error listing reversals: ${err.message}` });
+    }
+});
+
+router.get('/:reversalId', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+    if (validateInputFields([() => validators.reversalId(req.params.reversalId)], res)) return;
+
+    try {
+        const reversal = await prisma.transferReversal.findUnique({
+            where: { id: parseInt(req.params.reversalId) },
+            include: reversalInclude,
+        });
+        const isParty = reversal && [reversal.transfer.userId, reversal.transfer.relatedUserId].includes(req.auth.uid);
+        if (!reversal || (!isParty && !isManager(req))) {
+            return res.status(404).json({ 'error': 'Reversal not found' });
+        }
+        res.status(200).json(formatReversal(reversal));
+    } catch (err) {
+        res.status(500).json({ 'error': `error getting reversal: ${err.message}` });
+    }
+});
+
+// moves the points back; runs inside the approval transaction
+async function createReversingTransfers(tx, reversal, deciderId) {
+    const { transfer } = reversal;
+    const amount = Math.abs(transfer.amount);
+    const senderId = transfer.userId;
+    const recipientId = transfer.relatedUserId;
+
+    const recipient = await tx.user.findUnique({ where: { id: recipientId }, select: { id: true, points: true } });
+    const { available } = recipient ? await pointsBalance(tx, recipient) : { available: 0 };
+    if (available < amount) {
+        throw new HttpError(400, `Recipient has ${available} points available, but the reversal needs ${amount} points`);
+    }
+
+    const remark = `reversal of transfer ${transfer.id}`;
+    const recipientTransaction = await tx.transaction.create({
+        data: {
+            type: TransactionType.transfer,
+            amount: -amount,
+            remark,
+            userId: recipientId,
+            createdById: deciderId,
+            relatedUserId: senderId,
+        },
+    });
+    const senderTransaction = await tx.transaction.create({
+        data: {
+            type: TransactionType.transfer,
+            amount,
+            remark,
+            userId: senderId,
+            createdById: deciderId,
+            relatedUserId: recipientId,
+            relatedTransactionId: recipientTransaction.id,
+        },
+    });
+    await tx.transaction.update({
+        where: { id: recipientTransaction.id },
+        data: { relatedTransactionId: senderTransaction.id },
+    });
+
+    await postJournal(tx, {
+        memo: 'transfer reversal',
+        source: TransactionType.transfer,
+        entries: [
+            { account: ACCOUNTS.user(recipientId), amount: -amount, transactionId: recipientTransaction.id },
+            { account: ACCOUNTS.user(senderId), amount, transactionId: senderTransaction.id },
+        ],
+    });
+
+    return senderTransaction;
+}
+
+// recipient or manager approves/rejects; the sender may only cancel their own pending request, even as a manager
+router.patch('/:reversalId', requireClearance(CLEARANCE.REGULAR), auditLog(
+    (req) => `reversal.${req.body?.status}`,
+    'reversal',
+    { entityId: paramId('reversalId'), load: loadReversalSnapshot }
+), async (req, res) => {
+    const { status } = req.body || {};
+    if (validateInputFields([
+        () => validators.reversalId(req.params.reversalId),
+        () => validators.status(status, [ReversalStatus.approved, ReversalStatus.rejected, ReversalStatus.cancelled], true),
+    ], res)) return;
+
+    const reversalId = parseInt(req.params.reversalId);
+    const userId = req.auth.uid;
+
+    try {
+        const updated = await prisma.$transaction(async (tx) => {
+            const reversal = await tx.transferReversal.findUnique({
+                where: { id: reversalId },
+                include: reversalInclude,
+            });
+            const isSender = reversal && reversal.transfer.userId === userId;
+            const isRecipient = reversal && reversal.transfer.relatedUserId === userId;
+            if (!reversal || (!isSender && !isRecipient && !isManager(req))) {
+                throw new HttpError(404, 'Reversal not found');
+            }
+
+            if (status === ReversalStatus.cancelled ? !isSender : isSender || !(isRecipient || isManager(req))) {
+                throw new HttpError(403, status === ReversalStatus.cancelled
+                    ? 'Only the sender can cancel a reversal request'
+                    : 'Only the recipient or a manager other than the sender can decide on a reversal');
+            }
+
+            // claim the pending request so two decisions cannot both go through
+            const claimed = await tx.transferReversal.updateMany({
+                where: { id: reversalId, status: ReversalStatus.pending },
+                data: { status, decidedById: userId, decidedAt: new Date() },
+            });
+            if (claimed.count === 0) {
+                throw new HttpError(409, `Reversal is already ${reversal.status}`);
+            }
+
+            let reversalTransactionId = null;
+            if (status === ReversalStatus.approved) {
+                reversalTransactionId = (await createReversingTransfers(tx, reversal, userId)).id;
+            }
+
+            return tx.transferReversal.update({
+                where: { id: reversalId },
+                data: { reversalTransactionId },
+                include: reversalInclude,
+            });
+        });
+
+        res.status(200).json(formatReversal(updated));
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ 'error': err.message });
+        }
+        res.status(500).json({ 'error': `error updating reversal: ${err.message}` });
+    }
+});
+
+router.all('/', async (req, res) => {
+    res.status(405).json({ 'error': 'Method Not Allowed' });
+});
+
+module.exports = router;
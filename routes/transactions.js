@@ -2,26 +2,41 @@ const express = require("express");
 const {
 	PrismaClient,
 	TransactionType,
+	TransactionStatus,
 	PromotionType,
 } = require("@prisma/client");
+const { HttpError } = require("./utils/errors");
+const { findSessionError } = require("./utils/sessions");
+const { twoFactorRequiredFor } = require("./auth_middleware");
+const { effectivePermissions, hasPermission } = require("./utils/permissions");
+const { auditLog, paramId } = require("./utils/audit");
+const { toCsvLine } = require("./utils/csv");
+const { ACCOUNTS, creditUser } = require("./utils/ledger");
+const { redemptionStatus, pointsBalance } = require("./utils/redemptions");
+const { QR_KINDS, verifyQr } = require("./utils/qr");
+const {
+	promotionBonus,
+	resolvePromotions,
+	describeResolution,
+} = require("./utils/promotion_rules");
+const { segmentInclude, loadMember, matchesSegment } = require("./utils/segments");
+const { isActiveAt } = require("./utils/recurrence");
+const { isLive, stateWhere, STATES } = require("./utils/promotion_lifecycle");
+const { tierMultiplier } = require("./utils/tiers");
+const {
+	usageLimitError,
+	claimUsage,
+	releaseUsage,
+} = require("./utils/promotion_limits");
+const {
+	normalizeCode,
+	resolveCodes,
+	burnCodes,
+} = require("./utils/promotion_codes");
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-const roleRank = {
-	regular: 1,
-	cashier: 2,
-	manager: 3,
-	superuser: 4,
-};
-
-class HttpError extends Error {
-	constructor(status, message) {
-		super(message);
-		this.status = status;
-	}
-}
-
 const sendError = (res, status, message) => {
 	res.status(status).json({ error: message });
 };
@@ -48,12 +63,31 @@ const requireAuth = async (req, res, next) => {
 			throw new HttpError(401, "Unauthorized");
 		}
 
-		const actor = await prisma.user.findUnique({ where: { id: userId } });
+		const actor = await prisma.user.findUnique({
+			where: { id: userId },
+			include: {
+				permissionOverrides: { select: { permission: true, granted: true } },
+			},
+		});
 
 		if (!actor) {
 			throw new HttpError(401, "Unauthorized");
 		}
 
+		const sessionError = await findSessionError(prisma, req.auth, actor);
+		if (sessionError) {
+			throw new HttpError(401, sessionError);
+		}
+
+		if (twoFactorRequiredFor(actor.role) && req.auth?.mfa !== true) {
+			throw new HttpError(403, "Two-factor authentication is required for your role");
+		}
+
+		actor.permissions = effectivePermissions(
+			actor.role,
+			actor.permissionOverrides
+		);
+
 		req.actor = actor;
 		return next();
 	} catch (err) {
@@ -66,11 +100,8 @@ const requireAuth = async (req, res, next) => {
 	}
 };
 
-const hasMinRole = (actor, minimumRole) =>
-	roleRank[actor.role] >= roleRank[minimumRole];
-
 const normalizePromotionIds = (promotionIds) => {
-	if (promotionIds === null) {
+	if (promotionIds === null || promotionIds === undefined) {
 		return [];
 	}
 
@@ -99,11 +130,54 @@ const normalizePromotionIds = (promotionIds) => {
 	return unique;
 };
 
-const computeBaseEarned = (spentCents) => Math.round(spentCents / 25);
+const normalizePromotionCodes = (promotionCodes) => {
+	if (promotionCodes === null || promotionCodes === undefined) {
+		return [];
+	}
+
+	if (
+		!Array.isArray(promotionCodes) ||
+		!promotionCodes.every((code) => typeof code === "string" && code.trim() !== "")
+	) {
+		throw new HttpError(400, "promotionCodes must be an array of codes");
+	}
 
-const computeRateBonus = (spentCents, rate) =>
-	Math.round(spentCents * rate);
+	return [...new Set(promotionCodes.map(normalizeCode))];
+};
+
+// 1 point per $0.25, scaled by the member's tier multiplier
+const computeBaseEarned = (spentCents, multiplier = 1) =>
+	Math.round((spentCents / 25) * multiplier);
+
+const meetsMinSpending = (promo, spentCents) =>
+	promo.minSpending == null || (spentCents !== null && spentCents / 100 >= promo.minSpending);
+
+// bonus points of the promotions a purchase of `spentCents` qualifies for, combined by the stacking rules
+const computePromotionPoints = (promotions, spentCents) =>
+	resolvePromotions(
+		promotions.filter((promo) => meetsMinSpending(promo, spentCents)),
+		spentCents
+	).extraPoints;
+
+// one promotion's share of that: nothing once the purchase no longer meets its minimum spending
+const eligibleBonus = (promo, spentCents) =>
+	meetsMinSpending(promo, spentCents) ? promotionBonus(promo, spentCents) : 0;
+
+// automatic promotions a purchase of `spentCents` qualifies for, before targeting and recurrence
+const findAutomaticPromotions = (tx, spentCents, now, userId) =>
+	tx.promotion.findMany({
+		where: {
+			type: PromotionType.automatic,
+			...stateWhere(STATES.ACTIVE, now),
+			requiresCode: false,
+			OR: [{ minSpending: null }, { minSpending: { lte: spentCents / 100 } }],
+		},
+		include: segmentInclude(userId),
+	});
 
+// options.includeAutomatic adds every automatic promotion the purchase qualifies for
+// to the requested ones; those are reported back in automaticIds.
+// options.promotionCodes requests promotions by code; a code is burned only if its promotion applies.
 const loadAndValidatePromotions = async (
 	tx,
 	promotionIds,
@@ -112,64 +186,113 @@ const loadAndValidatePromotions = async (
 ) => {
 	const spentCents =
 		typeof options.spentCents === "number" ? options.spentCents : null;
+	const includeAutomatic = options.includeAutomatic === true && spentCents !== null;
+	const promotionCodes = options.promotionCodes ?? [];
 
-	if (!promotionIds.length) {
-		return { promotions: [], extraPoints: 0 };
+	if (!promotionIds.length && !promotionCodes.length && !includeAutomatic) {
+		return { promotions: [], applied: [], rejected: [], extraPoints: 0, automaticIds: [] };
 	}
 
+	const now = new Date();
+	const codes = await resolveCodes(tx, promotionCodes, now);
+	const codeByPromotion = new Map(codes.map((code) => [code.promotionId, code]));
+	const requestedIds = [...new Set([...promotionIds, ...codeByPromotion.keys()])];
+
 	const promotions = await tx.promotion.findMany({
-		where: { id: { in: promotionIds } },
+		where: { id: { in: requestedIds } },
+		include: segmentInclude(userId),
 	});
 
-	if (promotions.length !== promotionIds.length) {
+	if (promotions.length !== requestedIds.length) {
 		throw new HttpError(400, "One or more promotions are invalid");
 	}
 
-	const now = new Date();
-	let extraPoints = 0;
+	const member = await loadMember(tx, userId);
 
 	for (const promo of promotions) {
-		if (promo.startTime > now || promo.endTime < now) {
+		if (!isLive(promo) || !isActiveAt(promo, now)) {
 			throw new HttpError(400, "Promotion is not active");
 		}
 
+		if (promo.requiresCode && !codeByPromotion.has(promo.id)) {
+			throw new HttpError(400, "Promotion requires a code");
+		}
+
+		if (!matchesSegment(promo, member)) {
+			throw new HttpError(400, "Promotion is not available to this user");
+		}
+
 		if (promo.minSpending != null) {
 			if (spentCents === null) {
 				throw new HttpError(400, "Promotion requires a purchase amount");
 			}
 
-			if (spentCents / 100 < promo.minSpending) {
+			if (!meetsMinSpending(promo, spentCents)) {
 				throw new HttpError(400, "Promotion minimum spending not met");
 			}
 		}
 
-		if (promo.type === PromotionType.onetime) {
-			const used = await tx.transactionPromotion.findFirst({
-				where: {
-					promotionId: promo.id,
-					transaction: {
-						userId,
-					},
-				},
-			});
+		const limitError = await usageLimitError(
+			tx,
+			promo,
+			userId,
+			promotionBonus(promo, spentCents)
+		);
+		if (limitError) {
+			throw new HttpError(400, limitError);
+		}
+	}
 
-			if (used) {
-				throw new HttpError(400, "Promotion already used by this user");
+	// automatic promotions the member cannot use are skipped rather than refused
+	const automaticIds = [];
+	if (includeAutomatic) {
+		for (const promo of await findAutomaticPromotions(tx, spentCents, now, userId)) {
+			if (
+				!requestedIds.includes(promo.id) &&
+				isActiveAt(promo, now) &&
+				matchesSegment(promo, member) &&
+				!(await usageLimitError(tx, promo, userId, promotionBonus(promo, spentCents)))
+			) {
+				promotions.push(promo);
+				automaticIds.push(promo.id);
 			}
 		}
+	}
 
-		if (promo.rate != null && spentCents !== null) {
-			extraPoints += computeRateBonus(spentCents, promo.rate);
-		}
+	// stacking rules decide which of the eligible promotions actually apply
+	const { applied, rejected, extraPoints } = resolvePromotions(
+		promotions,
+		spentCents
+	);
 
-		if (promo.points != null) {
-			extraPoints += promo.points;
-		}
+	if (!(await claimUsage(tx, applied))) {
+		throw new HttpError(409, "A promotion ran out of uses or budget meanwhile; try again");
+	}
+
+	for (const entry of [...applied, ...rejected]) {
+		entry.code = codeByPromotion.get(entry.promotion.id) ?? null;
+	}
+	if (!(await burnCodes(tx, applied.map((entry) => entry.code).filter(Boolean)))) {
+		throw new HttpError(409, "A promotion code was used up meanwhile; try again");
 	}
 
-	return { promotions, extraPoints };
+	return {
+		promotions: applied.map(({ promotion }) => promotion),
+		applied,
+		rejected,
+		extraPoints,
+		automaticIds,
+	};
 };
 
+const attachPromotions = (applied) => ({
+	create: applied.map(({ promotion, bonus, code }) => ({
+		promotion: { connect: { id: promotion.id } },
+		bonus,
+		...(code ? { code: { connect: { id: code.id } } } : {}),
+	})),
+});
+
 const transactionInclude = {
 	user: { select: { id: true, utorid: true, name: true } },
 	createdBy: { select: { id: true, utorid: true, name: true } },
@@ -197,6 +320,12 @@ const formatTransaction = (transaction) => {
 
 	if (transaction.type === TransactionType.purchase) {
 		base.earned = transaction.amount ?? 0;
+		if (transaction.refundedSpent) {
+			base.refundedSpent = transaction.refundedSpent;
+		}
+		if (transaction.voided) {
+			base.voided = true;
+		}
 	}
 
 	if (transaction.type === TransactionType.redemption) {
@@ -205,6 +334,7 @@ const formatTransaction = (transaction) => {
 			? transaction.processedBy.utorid
 			: null;
 		base.relatedId = transaction.processedById ?? null;
+		base.status = redemptionStatus(transaction);
 	}
 
 	if (transaction.type === TransactionType.adjustment) {
@@ -227,6 +357,15 @@ const formatTransaction = (transaction) => {
 		base.awarded = transaction.amount ?? 0;
 	}
 
+	if (transaction.type === TransactionType.expiration) {
+		base.expired = Math.abs(transaction.amount ?? 0);
+	}
+
+	if (transaction.type === TransactionType.refund) {
+		base.relatedId = transaction.relatedTransactionId ?? null;
+		base.refunded = Math.abs(transaction.amount ?? 0);
+	}
+
 	return base;
 };
 
@@ -338,92 +477,114 @@ const buildTransactionFilters = (query) => {
 	return { AND: filters };
 };
 
-const handlePurchaseCreation = async (req, res) => {
-	try {
-		const { utorid, spent, promotionIds, remark } = req.body || {};
+// checks a purchase request body; throws HttpError(400) on bad input
+const parsePurchaseRequest = (body) => {
+	const { utorid, spent, promotionIds, promotionCodes, remark } = body || {};
 
-		if (!utorid || typeof utorid !== "string") {
-			return sendError(res, 400, "utorid is required");
-		}
+	if (!utorid || typeof utorid !== "string") {
+		throw new HttpError(400, "utorid is required");
+	}
 
-		const spentValue =
-			typeof spent === "number"
-				? spent
-				: typeof spent === "string"
-				? Number(spent)
-				: NaN;
+	const spentValue =
+		typeof spent === "number"
+			? spent
+			: typeof spent === "string"
+			? Number(spent)
+			: NaN;
 
-		if (!Number.isFinite(spentValue) || spentValue <= 0) {
-			return sendError(res, 400, "spent must be a positive number");
-		}
+	if (!Number.isFinite(spentValue) || spentValue <= 0) {
+		throw new HttpError(400, "spent must be a positive number");
+	}
 
-		const spentCents = Math.round(spentValue * 100);
-		const normalizedSpent = spentCents / 100;
+	return {
+		utorid,
+		spentCents: Math.round(spentValue * 100),
+		promotionIdList: normalizePromotionIds(promotionIds),
+		promotionCodes: normalizePromotionCodes(promotionCodes),
+		remark: typeof remark === "string" ? remark : null,
+	};
+};
 
-		const promotionIdList = normalizePromotionIds(promotionIds);
+// records the purchase and credits its points; shared by POST /transactions and the preview
+const createPurchase = async (tx, actor, request) => {
+	const { utorid, spentCents, promotionIdList, promotionCodes, remark } = request;
+	const isSuspicious = actor.role === "cashier" && actor.suspicious === true;
 
-		const actor = req.actor;
-		const isSuspicious = actor.role === "cashier" && actor.suspicious === true;
+	const target = await tx.user.findUnique({
+		where: { utorid: normalizeUtorid(utorid) },
+	});
 
-		const result = await prisma.$transaction(async (tx) => {
-			const target = await tx.user.findUnique({
-				where: { utorid: normalizeUtorid(utorid) },
-			});
+	if (!target) {
+		throw new HttpError(404, "User not found");
+	}
 
-			if (!target) {
-				throw new HttpError(404, "User not found");
-			}
+	const resolution = await loadAndValidatePromotions(
+		tx,
+		promotionIdList,
+		target.id,
+		{ spentCents, includeAutomatic: true, promotionCodes }
+	);
 
-			const { promotions, extraPoints } = await loadAndValidatePromotions(
-				tx,
-				promotionIdList,
-				target.id,
-				{ spentCents }
-			);
+	const multiplier = await tierMultiplier(tx, target);
+	const baseEarned = computeBaseEarned(spentCents, multiplier);
+	const earned = baseEarned + resolution.extraPoints;
 
-			const baseEarned = computeBaseEarned(spentCents);
-			const earned = baseEarned + extraPoints;
+	const created = await tx.transaction.create({
+		data: {
+			type: TransactionType.purchase,
+			spent: spentCents / 100,
+			amount: earned,
+			remark,
+			suspicious: isSuspicious,
+			earnMultiplier: multiplier,
+			userId: target.id,
+			createdById: actor.id,
+			promotions: attachPromotions(resolution.applied),
+		},
+		include: { promotions: { select: { promotionId: true } } },
+	});
 
-			const created = await tx.transaction.create({
-				data: {
-					type: TransactionType.purchase,
-					spent: normalizedSpent,
-					amount: earned,
-					remark: typeof remark === "string" ? remark : null,
-					suspicious: isSuspicious,
-					userId: target.id,
-					createdById: actor.id,
-					promotions: {
-						create: promotions.map((promo) => ({
-							promotion: { connect: { id: promo.id } },
-						})),
-					},
-				},
-				include: { promotions: { select: { promotionId: true } } },
-			});
+	if (!isSuspicious && earned > 0) {
+		await creditUser(tx, {
+			userId: target.id,
+			amount: earned,
+			contra: ACCOUNTS.PURCHASES,
+			transactionId: created.id,
+			memo: "purchase",
+			source: TransactionType.purchase,
+		});
+	}
 
-			if (!isSuspicious && earned > 0) {
-				await tx.user.update({
-					where: { id: target.id },
-					data: { points: { increment: earned } },
-				});
-			}
+	return { created, target, resolution, baseEarned };
+};
 
-			return { created, target };
-		});
+// base and bonus are what the purchase is worth; earned stays 0 while it is suspicious
+const summarizePurchase = ({ created, target, resolution, baseEarned }) => ({
+	utorid: target.utorid,
+	type: TransactionType.purchase,
+	spent: created.spent,
+	earned: created.suspicious ? 0 : (created.amount ?? 0),
+	breakdown: {
+		base: baseEarned,
+		bonus: resolution.extraPoints,
+		total: baseEarned + resolution.extraPoints,
+	},
+	remark: created.remark ?? "",
+	promotionIds: created.promotions.map((p) => p.promotionId),
+	...describeResolution(resolution),
+});
 
-		const promotionIdResponse = result.created.promotions.map(
-			(p) => p.promotionId
+const handlePurchaseCreation = async (req, res) => {
+	try {
+		const request = parsePurchaseRequest(req.body);
+
+		const result = await prisma.$transaction((tx) =>
+			createPurchase(tx, req.actor, request)
 		);
 
 		return res.status(201).json({
 			id: result.created.id,
-			utorid: result.target.utorid,
-			type: TransactionType.purchase,
-			spent: result.created.spent,
-			earned: result.created.suspicious ? 0 : (result.created.amount ?? 0),
-			remark: result.created.remark ?? "",
-			promotionIds: promotionIdResponse,
+			...summarizePurchase(result),
 			createdBy: req.actor.utorid,
 		});
 	} catch (err) {
@@ -506,14 +667,14 @@ const handleAdjustmentCreation = async (req, res) => {
 				}
 			}
 
-			const { promotions, extraPoints } = await loadAndValidatePromotions(
+			const resolution = await loadAndValidatePromotions(
 				tx,
 				promotionIdList,
 				target.id,
 				{ spentCents: null }
 			);
 
-			const totalAdjustment = amountValue + extraPoints;
+			const totalAdjustment = amountValue + resolution.extraPoints;
 
 			const created = await tx.transaction.create({
 				data: {
@@ -523,23 +684,23 @@ const handleAdjustmentCreation = async (req, res) => {
 					userId: target.id,
 					createdById: req.actor.id,
 					relatedTransactionId: relatedTxId,
-					promotions: {
-						create: promotions.map((promo) => ({
-							promotion: { connect: { id: promo.id } },
-						})),
-					},
+					promotions: attachPromotions(resolution.applied),
 				},
 				include: { promotions: { select: { promotionId: true } } },
 			});
 
 			if (totalAdjustment !== 0) {
-				await tx.user.update({
-					where: { id: target.id },
-					data: { points: { increment: totalAdjustment } },
+				await creditUser(tx, {
+					userId: target.id,
+					amount: totalAdjustment,
+					contra: ACCOUNTS.ADJUSTMENTS,
+					transactionId: created.id,
+					memo: "adjustment",
+					source: TransactionType.adjustment,
 				});
 			}
 
-			return { created, target };
+			return { created, target, resolution };
 		});
 
 		const promotionIdResponse = result.created.promotions.map(
@@ -554,6 +715,7 @@ const handleAdjustmentCreation = async (req, res) => {
 			relatedId: result.created.relatedTransactionId,
 			remark: result.created.remark ?? "",
 			promotionIds: promotionIdResponse,
+			...describeResolution(result.resolution),
 			createdBy: req.actor.utorid,
 		});
 	} catch (err) {
@@ -566,26 +728,84 @@ const handleAdjustmentCreation = async (req, res) => {
 	}
 };
 
-router.post("/", requireAuth, async (req, res) => {
-	const { type } = req.body || {};
+const loadTransactionSnapshot = (id) =>
+	prisma.transaction.findUnique({
+		where: { id },
+		select: {
+			id: true,
+			type: true,
+			amount: true,
+			spent: true,
+			suspicious: true,
+			userId: true,
+			remark: true,
+			refundedSpent: true,
+			voided: true,
+		},
+	});
 
-	if (type === TransactionType.purchase) {
-		if (!hasMinRole(req.actor, "cashier")) {
-			return sendError(res, 403, "Forbidden");
+router.post(
+	"/",
+	requireAuth,
+	auditLog((req) => `transaction.${req.body?.type}`, "transaction"),
+	async (req, res) => {
+		const { type } = req.body || {};
+
+		if (type === TransactionType.purchase) {
+			if (!hasPermission(req.actor, "transactions.purchase")) {
+				return sendError(res, 403, "Forbidden");
+			}
+
+			return handlePurchaseCreation(req, res);
 		}
 
-		return handlePurchaseCreation(req, res);
+		if (type === TransactionType.adjustment) {
+			if (!hasPermission(req.actor, "transactions.adjust")) {
+				return sendError(res, 403, "Forbidden");
+			}
+
+			return handleAdjustmentCreation(req, res);
+		}
+
+		return sendError(res, 400, "Unsupported transaction type");
 	}
+);
+
+// thrown to roll back a preview's transaction once the purchase has been computed
+class PreviewRollback extends Error {
+	constructor(result) {
+		super("purchase preview");
+		this.result = result;
+	}
+}
 
-	if (type === TransactionType.adjustment) {
-		if (!hasMinRole(req.actor, "manager")) {
+// what POST /transactions would do for this purchase, without keeping any of it
+router.post("/preview", requireAuth, async (req, res) => {
+	try {
+		if (!hasPermission(req.actor, "transactions.purchase")) {
 			return sendError(res, 403, "Forbidden");
 		}
 
-		return handleAdjustmentCreation(req, res);
-	}
+		const request = parsePurchaseRequest(req.body);
+
+		await prisma.$transaction(async (tx) => {
+			throw new PreviewRollback(await createPurchase(tx, req.actor, request));
+		});
+	} catch (err) {
+		if (err instanceof PreviewRollback) {
+			return res.json({
+				...summarizePurchase(err.result),
+				suspicious: err.result.created.suspicious,
+			});
+		}
 
-	return sendError(res, 400, "Unsupported transaction type");
+		if (err instanceof HttpError) {
+			return sendError(res, err.status, err.message);
+		}
+
+		console.error("POST /transactions/preview error", err);
+		return sendError(res, 500, "Internal server error");
+	}
 });
 
 router.get(
@@ -593,7 +813,7 @@ router.get(
 	requireAuth,
 	async (req, res) => {
 		try {
-			if (!hasMinRole(req.actor, "manager")) {
+			if (!hasPermission(req.actor, "transactions.view")) {
 				return sendError(res, 403, "Forbidden");
 			}
 
@@ -641,9 +861,204 @@ router.get(
 	}
 );
 
+// column order is part of the export format; append new columns at the end
+const EXPORT_COLUMNS = [
+	"id",
+	"createdAt",
+	"utorid",
+	"type",
+	"amount",
+	"spent",
+	"suspicious",
+	"remark",
+	"createdBy",
+	"processedBy",
+];
+const EXPORT_RELATED_COLUMNS = ["promotionIds", "relatedId"];
+const EXPORT_BATCH_SIZE = 500;
+
+const toExportRow = (transaction, columns) => {
+	const formatted = formatTransaction(transaction);
+	const values = {
+		...formatted,
+		createdAt: transaction.createdAt.toISOString(),
+		processedBy: transaction.processedBy ? transaction.processedBy.utorid : null,
+		relatedId: formatted.relatedId ?? null,
+	};
+
+	return Object.fromEntries(columns.map((column) => [column, values[column]]));
+};
+
+// resolves once the socket can take more data, so a slow client never makes us buffer rows
+const waitForDrain = (res) =>
+	new Promise((resolve) => {
+		const done = () => {
+			res.off("drain", done);
+			res.off("close", done);
+			resolve();
+		};
+		res.on("drain", done);
+		res.on("close", done);
+	});
+
+router.get("/export", requireAuth, async (req, res) => {
+	if (!hasPermission(req.actor, "transactions.export")) {
+		return sendError(res, 403, "Forbidden");
+	}
+
+	const format = req.query.format ?? "csv";
+	if (format !== "csv" && format !== "jsonl") {
+		return sendError(res, 400, "format must be csv or jsonl");
+	}
+
+	const { includeRelated } = req.query;
+	if (includeRelated !== undefined && includeRelated !== "true" && includeRelated !== "false") {
+		return sendError(res, 400, "includeRelated must be true or false");
+	}
+
+	let where;
+	try {
+		where = buildTransactionFilters(req.query);
+	} catch (err) {
+		if (err instanceof HttpError) {
+			return sendError(res, err.status, err.message);
+		}
+
+		console.error("GET /transactions/export error", err);
+		return sendError(res, 500, "Internal server error");
+	}
+
+	const columns =
+		includeRelated === "true"
+			? [...EXPORT_COLUMNS, ...EXPORT_RELATED_COLUMNS]
+			: EXPORT_COLUMNS;
+
+	const stamp = new Date().toISOString().slice(0, 10);
+	res.status(200);
+	res.set(
+		"Content-Type",
+		format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+	);
+	res.set("Content-Disposition", `attachment; filename="transactions-${stamp}.${format}"`);
+
+	let aborted = false;
+	res.on("close", () => {
+		aborted = true;
+	});
+
+	try {
+		if (format === "csv") {
+			res.write(toCsvLine(columns));
+		}
+
+		// keyset pagination on id keeps every batch cheap and the ordering stable
+		let cursor = null;
+		while (!aborted) {
+			const batch = await prisma.transaction.findMany({
+				where,
+				orderBy: { id: "asc" },
+				take: EXPORT_BATCH_SIZE,
+				...(cursor === null ? {} : { cursor: { id: cursor }, skip: 1 }),
+				include: transactionInclude,
+			});
+
+			for (const transaction of batch) {
+				const row = toExportRow(transaction, columns);
+				const line =
+					format === "csv"
+						? toCsvLine(columns.map((column) => row[column]))
+						: `${JSON.stringify(row)}\n`;
+
+				if (!res.write(line)) {
+					await waitForDrain(res);
+					if (aborted) break;
+				}
+			}
+
+			if (batch.length < EXPORT_BATCH_SIZE) break;
+			cursor = batch[batch.length - 1].id;
+		}
+
+		return res.end();
+	} catch (err) {
+		// headers are gone already; cutting the stream is the only way to signal failure
+		console.error("GET /transactions/export error", err);
+		return res.destroy(err);
+	}
+});
+
+// resolves a scanned QR payload to the member or the pending redemption it stands for
+router.post("/scan", requireAuth, async (req, res) => {
+	try {
+		if (!hasPermission(req.actor, "transactions.scan")) {
+			return sendError(res, 403, "Forbidden");
+		}
+
+		const { payload } = req.body || {};
+		if (typeof payload !== "string" || payload.trim() === "") {
+			return sendError(res, 400, "payload is required");
+		}
+
+		const verified = verifyQr(payload.trim());
+		if (verified.error === "expired") {
+			return sendError(res, 410, "QR code has expired");
+		}
+		if (verified.error) {
+			return sendError(res, 400, "Invalid QR code");
+		}
+
+		const { kind, uid, tid } = verified.payload;
+		const user = await prisma.user.findUnique({
+			where: { id: uid },
+			select: { id: true, utorid: true, name: true, points: true, verified: true },
+		});
+		if (!user) {
+			return sendError(res, 404, "User not found");
+		}
+
+		if (kind === QR_KINDS.USER) {
+			const { available } = await pointsBalance(prisma, user);
+			return res.json({ kind, user: { ...user, availablePoints: available } });
+		}
+
+		const transaction = await prisma.transaction.findUnique({
+			where: { id: tid },
+		});
+		if (
+			!transaction ||
+			transaction.userId !== user.id ||
+			transaction.type !== TransactionType.redemption
+		) {
+			return sendError(res, 404, "Redemption not found");
+		}
+
+		// a redemption's code is spent once the redemption is processed, cancelled or expired
+		const status = redemptionStatus(transaction);
+		if (status !== TransactionStatus.pending) {
+			return sendError(res, 410, `QR code is no longer valid: redemption is ${status}`);
+		}
+
+		return res.json({
+			kind,
+			user: { id: user.id, utorid: user.utorid, name: user.name },
+			transaction: {
+				id: transaction.id,
+				type: transaction.type,
+				amount: -transaction.amount,
+				remark: transaction.remark ?? "",
+				status,
+				createdAt: transaction.createdAt,
+			},
+		});
+	} catch (err) {
+		console.error("POST /transactions/scan error", err);
+		return sendError(res, 500, "Internal server error");
+	}
+});
+
 router.get("/:transactionId", requireAuth, async (req, res) => {
 	try {
-		if (!hasMinRole(req.actor, "manager")) {
+		if (!hasPermission(req.actor, "transactions.view")) {
 			return sendError(res, 403, "Forbidden");
 		}
 
@@ -672,9 +1087,13 @@ router.get("/:transactionId", requireAuth, async (req, res) => {
 router.patch(
 	"/:transactionId/suspicious",
 	requireAuth,
+	auditLog("transaction.suspicious", "transaction", {
+		entityId: paramId("transactionId"),
+		load: loadTransactionSnapshot,
+	}),
 	async (req, res) => {
 		try {
-			if (!hasMinRole(req.actor, "manager")) {
+			if (!hasPermission(req.actor, "transactions.flag")) {
 				return sendError(res, 403, "Forbidden");
 			}
 
@@ -706,14 +1125,22 @@ router.patch(
 						typeof existing.amount === "number" &&
 						existing.amount > 0
 					) {
-						const delta = suspicious
-							? -existing.amount
-							: existing.amount;
+						// refunds already took part of a purchase's points back
+						const refunds = await tx.transaction.aggregate({
+							where: { type: TransactionType.refund, relatedTransactionId: existing.id },
+							_sum: { amount: true },
+						});
+						const credited = existing.amount + (refunds._sum.amount ?? 0);
+						const delta = suspicious ? -credited : credited;
 
 						if (delta !== 0) {
-							await tx.user.update({
-								where: { id: existing.userId },
-								data: { points: { increment: delta } },
+							await creditUser(tx, {
+								userId: existing.userId,
+								amount: delta,
+								contra: ACCOUNTS.SUSPICIOUS,
+								transactionId: existing.id,
+								memo: suspicious ? "flagged suspicious" : "cleared suspicious flag",
+								source: existing.type,
 							});
 						}
 					}
@@ -745,6 +1172,175 @@ router.patch(
 	}
 );
 
+// points a purchase is worth when only `keptCents` of it is kept, earned the way a purchase of that
+// amount would be: base rate at the tier multiplier the purchase was made with, and a promotion whose
+// minimum spending is no longer met gives nothing, fixed points included. Fixed points otherwise
+// cancel out between two kept amounts (up to maxBonus).
+const computeKeptPoints = (keptCents, promotions, multiplier) =>
+	computeBaseEarned(keptCents, multiplier) + computePromotionPoints(promotions, keptCents);
+
+router.post(
+	"/:transactionId/refund",
+	requireAuth,
+	auditLog("transaction.refund", "transaction", {
+		entityId: paramId("transactionId"),
+		load: loadTransactionSnapshot,
+	}),
+	async (req, res) => {
+		try {
+			if (!hasPermission(req.actor, "transactions.refund")) {
+				return sendError(res, 403, "Forbidden");
+			}
+
+			const transactionId = parseInt(req.params.transactionId, 10);
+			if (!Number.isInteger(transactionId) || transactionId <= 0) {
+				return sendError(res, 400, "Invalid transaction id");
+			}
+
+			const { spent, remark } = req.body || {};
+			if (spent !== undefined && (typeof spent !== "number" || !Number.isFinite(spent) || spent <= 0)) {
+				return sendError(res, 400, "spent must be a positive number");
+			}
+
+			const result = await prisma.$transaction(async (tx) => {
+				const original = await tx.transaction.findUnique({
+					where: { id: transactionId },
+					include: {
+						user: { select: { id: true, utorid: true } },
+						promotions: { include: { promotion: true } },
+					},
+				});
+
+				if (!original) {
+					throw new HttpError(404, "Transaction not found");
+				}
+				if (original.type !== TransactionType.purchase) {
+					throw new HttpError(400, "Only purchases can be refunded");
+				}
+				if (original.voided) {
+					throw new HttpError(400, "Purchase has already been fully refunded");
+				}
+				if (original.suspicious) {
+					throw new HttpError(400, "Clear the suspicious flag before refunding this purchase");
+				}
+
+				const spentCents = Math.round(original.spent * 100);
+				const refundedCents = Math.round(original.refundedSpent * 100);
+				const remainingCents = spentCents - refundedCents;
+				const refundCents =
+					spent === undefined ? remainingCents : Math.round(spent * 100);
+
+				if (refundCents <= 0 || refundCents > remainingCents) {
+					throw new HttpError(
+						400,
+						`Refund exceeds the refundable amount of ${(remainingCents / 100).toFixed(2)}`
+					);
+				}
+
+				const voided = refundCents === remainingCents;
+				const promotions = original.promotions.map((tp) => tp.promotion);
+
+				let reversed;
+				if (voided) {
+					// take back exactly what is still credited, so rounding never leaves points behind
+					const earlier = await tx.transaction.aggregate({
+						where: { type: TransactionType.refund, relatedTransactionId: original.id },
+						_sum: { amount: true },
+					});
+					reversed = (original.amount ?? 0) + (earlier._sum.amount ?? 0);
+				} else {
+					reversed =
+						computeKeptPoints(remainingCents, promotions, original.earnMultiplier) -
+						computeKeptPoints(remainingCents - refundCents, promotions, original.earnMultiplier);
+				}
+
+				// hand the refunded bonus back to each promotion's budget; a void also returns the use
+				for (const tp of original.promotions) {
+					const returned = voided
+						? tp.bonus
+						: Math.min(
+								tp.bonus,
+								eligibleBonus(tp.promotion, remainingCents) -
+									eligibleBonus(tp.promotion, remainingCents - refundCents)
+							);
+					if (returned > 0 || voided) {
+						await releaseUsage(tx, tp, returned, { use: voided });
+					}
+				}
+
+				// points the member already spent or reserved for a pending redemption cannot be taken
+				// back; the balance never goes below zero
+				const member = await tx.user.findUnique({
+					where: { id: original.userId },
+					select: { id: true, points: true },
+				});
+				const { available } = await pointsBalance(tx, member);
+				const recovered = Math.max(0, Math.min(reversed, available));
+
+				// guards against a concurrent refund of the same purchase
+				const claimed = await tx.transaction.updateMany({
+					where: { id: original.id, refundedSpent: original.refundedSpent, voided: false },
+					data: { refundedSpent: (refundedCents + refundCents) / 100, voided },
+				});
+				if (claimed.count === 0) {
+					throw new HttpError(409, "Purchase was refunded concurrently; try again");
+				}
+
+				const refund = await tx.transaction.create({
+					data: {
+						type: TransactionType.refund,
+						spent: refundCents / 100,
+						amount: -recovered,
+						remark: typeof remark === "string" ? remark : null,
+						userId: original.userId,
+						createdById: req.actor.id,
+						relatedTransactionId: original.id,
+					},
+				});
+
+				if (recovered !== 0) {
+					await creditUser(tx, {
+						userId: original.userId,
+						amount: -recovered,
+						contra: ACCOUNTS.PURCHASES,
+						transactionId: refund.id,
+						memo: voided ? "purchase voided" : "partial refund",
+					});
+				}
+
+				return {
+					refund,
+					original,
+					voided,
+					shortfall: reversed - recovered,
+					remainingCents: remainingCents - refundCents,
+				};
+			});
+
+			return res.status(201).json({
+				id: result.refund.id,
+				utorid: result.original.user ? result.original.user.utorid : null,
+				type: TransactionType.refund,
+				spent: result.refund.spent,
+				refunded: -result.refund.amount,
+				shortfall: result.shortfall,
+				relatedId: result.original.id,
+				voided: result.voided,
+				refundableSpent: result.remainingCents / 100,
+				remark: result.refund.remark ?? "",
+				createdBy: req.actor.utorid,
+			});
+		} catch (err) {
+			if (err instanceof HttpError) {
+				return sendError(res, err.status, err.message);
+			}
+
+			console.error("POST /transactions/:transactionId/refund error", err);
+			return sendError(res, 500, "Internal server error");
+		}
+	}
+);
+
 // Ariel's subrouter for transactions/processed
 // keep in separate file for now to avoid complicated merge conflicts but can be put in transactions later
 const transactionsProcessedRouter = require('./transactions_processed');
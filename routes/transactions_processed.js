@@ -1,11 +1,20 @@
-const { CLEARANCE, requireClearance, roleRank } = require('./auth_middleware');
+const { requirePermission } = require('./auth_middleware');
 const { validateString, validateEnum, validateDate, validateNumber, validateBoolean, validateInputFields } = require('./utils/validators');
-const { PrismaClient, TransactionType } = require('@prisma/client');
+const { PrismaClient, TransactionType, TransactionStatus } = require('@prisma/client');
+const { auditLog, paramId } = require('./utils/audit');
+const { ACCOUNTS, creditUser } = require('./utils/ledger');
+const { HttpError } = require('./utils/errors');
+const { redemptionStatus, openRedemption } = require('./utils/redemptions');
 
 const prisma = new PrismaClient();
 const express = require("express");
 const router = express.Router();
 
+const loadRedemptionSnapshot = (id) => prisma.transaction.findUnique({
+    where: { id },
+    select: { id: true, type: true, amount: true, userId: true, processedById: true },
+});
+
 const validators = {
     transactionId(transactionId, required = true) {
         return validateNumber(transactionId, 'transactionId', { required })
@@ -17,7 +26,7 @@ const validators = {
 }
 
 // Set a redemption transaction as being completed
-router.patch('/:transactionId/processed', requireClearance(CLEARANCE.CASHIER), async (req, res) => {
+router.patch('/:transactionId/processed', requirePermission('transactions.process'), auditLog('transaction.process', 'transaction', { entityId: paramId('transactionId'), load: loadRedemptionSnapshot }), async (req, res) => {
     let transactionId = req.params["transactionId"];
     const { processed } = req.body;
     let validations = [
@@ -25,57 +34,79 @@ router.patch('/:transactionId/processed', requireClearance(CLEARANCE.CASHIER), a
         () => validators.processed(processed, true),
     ]
     if (validateInputFields(validations, res)) return;
-    if (processed !== 'true' && processed !== true) res.status(400).json({ 'error': 'Bad Request: processed field must be set to true' });
+    if (processed !== 'true' && processed !== true) return res.status(400).json({ 'error': 'Bad Request: processed field must be set to true' });
     transactionId = parseInt(transactionId);
+    const cashierId = parseInt(req.auth.sub);
 
-    await prisma.$transaction(async (prisma) => {
-        let transaction = await prisma.transaction.findUnique({
-            where: { id: transactionId }
-        })
-        if (!transaction) {
-            return res.status(404).json({ 'error': 'Transaction not found' });
-        }
-        if (transaction?.type !== "redemption") {
-            return res.status(400).json({ 'error': 'Bad Request: transaction is not of type redemption' });
-        }
-        if (transaction?.processedById) {
-            return res.status(400).json({ 'error': `Bad Request: transaction has already been processed` });
-        }
-
-        const cashierId = parseInt(req.auth.sub);
-        transaction = await prisma.transaction.update({
-            where: { id: transactionId },
-            data: {
-                processedById: cashierId
+    try {
+        // the status change and the points deduction commit together or not at all
+        const result = await prisma.$transaction(async (tx) => {
+            let transaction = await tx.transaction.findUnique({
+                where: { id: transactionId }
+            })
+            if (!transaction) {
+                throw new HttpError(404, 'Transaction not found');
+            }
+            if (transaction.type !== "redemption") {
+                throw new HttpError(400, 'Bad Request: transaction is not of type redemption');
+            }
+            if (transaction.processedById) {
+                throw new HttpError(400, 'Bad Request: transaction has already been processed');
+            }
+            const status = redemptionStatus(transaction);
+            if (status !== TransactionStatus.pending) {
+                throw new HttpError(400, `Bad Request: redemption is ${status}`);
             }
-        })
 
-        const user = await prisma.user.update({
-            where: { id: transaction.userId },
-            data: {
-                points: { increment: transaction.amount } // is negative
+            // claim it only while still open, in case it was processed, cancelled or expired meanwhile
+            const claimed = await tx.transaction.updateMany({
+                where: { id: transactionId, ...openRedemption },
+                data: {
+                    processedById: cashierId,
+                    status: TransactionStatus.processed
+                }
+            })
+            if (claimed.count === 0) {
+                throw new HttpError(409, 'Conflict: redemption is no longer pending');
             }
-        })
 
-        const cashier = await prisma.user.findUnique({
-            where: { id: cashierId }
-        })
+            await creditUser(tx, {
+                userId: transaction.userId,
+                amount: transaction.amount, // is negative
+                contra: ACCOUNTS.REDEMPTIONS,
+                transactionId,
+                memo: 'redemption',
+            });
 
-        const creator = await prisma.user.findUnique({
-            where: { id: transaction.createdById }
-        })
+            const user = await tx.user.findUnique({
+                where: { id: transaction.userId }
+            })
 
-        const result = {
-            id: transactionId,
-            utorid: user.utorid,
-            type: transaction.type,
-            processedBy: cashier.utorid,
-            redeemed: -1 * transaction.amount,
-            remark: transaction.remark,
-            createdBy: creator ? creator.utorid : null
+            const cashier = await tx.user.findUnique({
+                where: { id: cashierId }
+            })
+
+            const creator = await tx.user.findUnique({
+                where: { id: transaction.createdById }
+            })
+
+            return {
+                id: transactionId,
+                utorid: user.utorid,
+                type: transaction.type,
+                processedBy: cashier.utorid,
+                redeemed: -1 * transaction.amount,
+                remark: transaction.remark,
+                createdBy: creator ? creator.utorid : null
+            }
+        });
+        res.status(200).json(result);
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ 'error': err.message });
         }
-        return res.status(200).json(result);
-    });
+        res.status(500).json({ 'error': `error processing redemption: ${err.message}` });
+    }
 });
 
 router.all('/', async (req, res) => {
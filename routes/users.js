@@ -1,13 +1,57 @@
-const { CLEARANCE, requireClearance, validatePayload} = require('./auth_middleware');
+const { CLEARANCE, requireClearance, requirePermission, hasPermission, validatePayload} = require('./auth_middleware');
 const { v4: uuidv4 } = require('uuid');
 const {z} = require("zod");
 const bcrypt = require('bcrypt');
 const { PrismaClient} = require('@prisma/client');
+const { revokeAllSessions } = require('./utils/sessions');
+const { clearLoginFailures } = require('./utils/lockout');
+const { sendActivationEmail, shouldExposeTokens, isDeliveryEnabled } = require('./utils/mail');
+const { generateSecret, verifyCode, otpauthUrl } = require('./utils/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('./utils/two_factor');
+const { twoFactorRequiredFor } = require('./auth_middleware');
+const { auditLog, paramId } = require('./utils/audit');
+const { PERMISSIONS, isKnownPermission, rolePermissions, effectivePermissions } = require('./utils/permissions');
+const { parseCsv, recordsToObjects } = require('./utils/csv');
+const { ledgerBalance } = require('./utils/ledger');
+const { upcomingExpirations } = require('./utils/expiry');
+const { pointsBalance } = require('./utils/redemptions');
+const { describeTier } = require('./utils/tiers');
+const { QR_FORMATS, signUserQr, sendQr } = require('./utils/qr');
 
 const prisma = new PrismaClient();
 const express = require("express");
 const router = express.Router();
 
+// audit snapshot of a user: profile and privilege fields, never credentials
+const loadUserSnapshot = (id) => prisma.user.findUnique({
+    where: {id},
+    select: {id: true, utorid: true, name: true, email: true, birthday: true, role: true,
+            verified: true, suspicious: true, avatarUrl: true, twoFactorEnabled: true}
+});
+const selfId = (req) => req.auth.uid;
+
+// activation token handed to a freshly created account, valid for 7 days
+function newActivationToken(){
+    const expiresAtDate = new Date();
+    expiresAtDate.setDate(expiresAtDate.getDate() + 7);
+    return {resetToken: uuidv4(), resetExpiresAt: expiresAtDate.toISOString()};
+}
+
+// shape of a created user in the POST /users and POST /users/import responses
+function createdUserResponse(user){
+    const response = {
+        id: user.id,
+        utorid: user.utorid,
+        name: user.name,
+        email: user.email,
+        verified: user.verified,
+        expiresAt: user.resetExpiresAt,
+    };
+    // once activation emails go out, the cashier's terminal no longer sees the token
+    if(shouldExposeTokens()) response.resetToken = user.resetToken;
+    return response;
+}
+
 
 /* 
  notes: 
@@ -25,7 +69,7 @@ const createUsersPayload = z.object({
     }),
 });
 
-router.post("/", requireClearance(CLEARANCE.CASHIER), validatePayload(createUsersPayload), async (req, res) => {
+router.post("/", requirePermission("users.create"), validatePayload(createUsersPayload), auditLog("user.create", "user", {load: loadUserSnapshot}), async (req, res) => {
     
    //user authenticated as cashier or higher, required field checked 
    const {utorid, name, email} = req.body;
@@ -45,24 +89,20 @@ router.post("/", requireClearance(CLEARANCE.CASHIER), validatePayload(createUser
 
    //create user 
    try{
-        resetToken = uuidv4();
-        expiresAtDate = new Date();
-        expiresAtDate.setDate(expiresAtDate.getDate() + 7); //7 days 
-        const resetExpiresAt = expiresAtDate.toISOString();
+        const {resetToken, resetExpiresAt} = newActivationToken();
         const user = await prisma.user.create({
             data: {utorid, name, email, resetExpiresAt, resetToken},
             select: {id: true, utorid: true, name: true, email: true, verified: true, resetExpiresAt:true, resetToken:true}
         });
+        const sent = await sendActivationEmail(user, {resetToken: user.resetToken, expiresAt: user.resetExpiresAt});
+
         // Return response with expiresAt instead of resetExpiresAt for consistency
-        const response = {
-            id: user.id,
-            utorid: user.utorid,
-            name: user.name,
-            email: user.email,
-            verified: user.verified,
-            expiresAt: user.resetExpiresAt,
-            resetToken: user.resetToken
-        };
+        const response = createdUserResponse(user);
+        if(isDeliveryEnabled()){
+            response.emailSent = sent;
+            // the account exists either way, so hand the token to the cashier rather than strand the user
+            if(!sent) response.resetToken = user.resetToken;
+        }
         return res.status(201).json(response);
 
    }catch(err){
@@ -81,7 +121,7 @@ const getUsersPayload = z.object({
 
 });
 
-router.get("/", requireClearance(CLEARANCE.MANAGER), validatePayload(getUsersPayload), async(req, res)=> {
+router.get("/", requirePermission("users.list"), validatePayload(getUsersPayload), async(req, res)=> {
     //console.log(req.query)
     // console.log({
     // body: req.body,
@@ -167,6 +207,152 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const upload =  multer({ storage: multer.memoryStorage() });
+
+const MAX_IMPORT_ROWS = 1000;
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "2mb" });
+
+// the CSV arrives either as multipart field "file" or as a raw text/csv body
+function readImportCsv(req){
+    if(req.file) return req.file.buffer.toString("utf8");
+    if(typeof req.body === "string") return req.body;
+    return null;
+}
+
+// utorids and emails are compared case-insensitively, so rows are lower-cased before they are checked
+const importRowPayload = z.preprocess(
+    row => ({...row, utorid: row.utorid.trim().toLowerCase(), email: row.email.trim().toLowerCase()}),
+    createUsersPayload
+);
+
+// validate every row; returns the rows that can be created and a report for the rest
+async function checkImportRows(rows){
+    const errors = [];
+    const valid = [];
+    const seenUtorids = new Map();
+    const seenEmails = new Map();
+
+    rows.forEach((row, index) => {
+        const line = index + 2; // row 1 is the header
+        const rowErrors = [];
+
+        const parsed = importRowPayload.safeParse(row);
+        if(!parsed.success){
+            rowErrors.push(...parsed.error.errors.map(e => `${e.path.join('.')} - ${e.message}`));
+        }
+        // an invalid row still claims its utorid and email, so later copies are reported too
+        const utorid = parsed.success ? parsed.data.utorid : row.utorid.trim().toLowerCase();
+        const email = parsed.success ? parsed.data.email : row.email.trim().toLowerCase();
+        if(seenUtorids.has(utorid)){
+            rowErrors.push(`utorid - duplicate of row ${seenUtorids.get(utorid)}`);
+        }
+        if(seenEmails.has(email)){
+            rowErrors.push(`email - duplicate of row ${seenEmails.get(email)}`);
+        }
+        if(!seenUtorids.has(utorid)) seenUtorids.set(utorid, line);
+        if(!seenEmails.has(email)) seenEmails.set(email, line);
+
+        if(rowErrors.length > 0){
+            errors.push({row: line, utorid: row.utorid, errors: rowErrors});
+        }else{
+            valid.push({line, data: parsed.data});
+        }
+    });
+
+    const existing = await prisma.user.findMany({
+        where: {OR: [
+            {utorid: {in: valid.map(v => v.data.utorid)}},
+            {email: {in: valid.map(v => v.data.email)}},
+        ]},
+        select: {utorid: true, email: true}
+    });
+    const takenUtorids = new Set(existing.map(u => u.utorid.toLowerCase()));
+    const takenEmails = new Set(existing.map(u => u.email.toLowerCase()));
+
+    const creatable = [];
+    for(const {line, data} of valid){
+        const rowErrors = [];
+        if(takenUtorids.has(data.utorid)) rowErrors.push("utorid already exists");
+        if(takenEmails.has(data.email)) rowErrors.push("email already exists");
+
+        if(rowErrors.length > 0){
+            errors.push({row: line, utorid: data.utorid, errors: rowErrors});
+        }else{
+            creatable.push({line, data});
+        }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    return {creatable, errors};
+}
+
+// bulk onboarding: valid rows are created together, invalid ones are reported back by row number
+router.post("/import", requirePermission("users.import"), csvUpload.single("file"), csvBody, auditLog("user.import", "user"), async(req, res)=>{
+    const dryRun = req.query.dryRun === "true";
+
+    const text = readImportCsv(req);
+    if(text === null){
+        return res.status(400).json({error: "upload a CSV as multipart field 'file' or send it with content-type text/csv"});
+    }
+
+    let rows;
+    try{
+        rows = recordsToObjects(parseCsv(text), ["utorid", "name", "email"]);
+    }catch(err){
+        return res.status(400).json({error: `invalid CSV: ${err.message}`});
+    }
+    if(rows.length === 0){
+        return res.status(400).json({error: "invalid CSV: no rows after the header"});
+    }
+    if(rows.length > MAX_IMPORT_ROWS){
+        return res.status(400).json({error: `too many rows: at most ${MAX_IMPORT_ROWS} per import`});
+    }
+
+    try{
+        const {creatable, errors} = await checkImportRows(rows);
+        const report = {dryRun, total: rows.length, valid: creatable.length, errors};
+
+        if(dryRun || creatable.length === 0){
+            return res.status(creatable.length === 0 ? 400 : 200).json({...report, created: []});
+        }
+
+        const users = await prisma.$transaction(async (tx) => {
+            const created = [];
+            for(const {data} of creatable){
+                const {resetToken, resetExpiresAt} = newActivationToken();
+                created.push(await tx.user.create({
+                    data: {utorid: data.utorid, name: data.name, email: data.email, resetExpiresAt, resetToken},
+                    select: {id: true, utorid: true, name: true, email: true, verified: true, resetExpiresAt: true, resetToken: true}
+                }));
+            }
+            return created;
+        });
+
+        let emailFailures = 0;
+        const created = [];
+        for(const user of users){
+            const sent = await sendActivationEmail(user, {resetToken: user.resetToken, expiresAt: user.resetExpiresAt});
+            const response = createdUserResponse(user);
+            if(isDeliveryEnabled()){
+                response.emailSent = sent;
+                if(!sent){
+                    emailFailures++;
+                    response.resetToken = user.resetToken;
+                }
+            }
+            created.push(response);
+        }
+
+        return res.status(201).json({...report, created, emailFailures});
+    }catch(err){
+        if(err.code === "P2002"){
+            // someone registered one of these users between the check and the insert
+            return res.status(409).json({error: "a utorid or email in the file was taken during the import; nothing was created"});
+        }
+        return res.status(500).json({error: `error importing users ${err.message}`});
+    }
+});
+
 const patchSelfPayload = z.object({
     name: z.string().min(1, "name too short").max(50, "name too long").optional().nullable(),
     email: z.string().email("invalid email format").refine(val => val.endsWith("@mail.utoronto.ca"), {
@@ -189,7 +375,7 @@ const patchSelfPayload = z.object({
     
 });
 
-router.patch("/me", requireClearance(CLEARANCE.REGULAR), upload.single("avatar"), validatePayload(patchSelfPayload), async(req, res)=> {
+router.patch("/me", requireClearance(CLEARANCE.REGULAR), upload.single("avatar"), validatePayload(patchSelfPayload), auditLog("user.update_self", "user", {entityId: selfId, load: loadUserSnapshot}), async(req, res)=> {
     var data = {};
     const {name, email, birthday} = req.body;
 
@@ -249,12 +435,19 @@ router.get("/me", requireClearance(CLEARANCE.REGULAR), async(req, res) =>{
             where: {id: req.auth.sub},
             select: {id: true, utorid:true, name:true, email:true, 
                     birthday:true, role:true, points:true,
-                createdAt: true, lastLogin: true, verified: true, avatarUrl: true}
+                createdAt: true, lastLogin: true, verified: true, avatarUrl: true,
+                lifetimePoints: true, tier: true, tierUpdatedAt: true}
         });
 
         promotions = await getUsersValidPromotions(user);
         user.promotions = promotions
-        return res.json(user);
+        const { reserved, available } = await pointsBalance(prisma, user);
+        user.reservedPoints = reserved;
+        user.availablePoints = available;
+        user.upcomingExpirations = await upcomingExpirations(prisma, user.id);
+        const { tierUpdatedAt, ...profile } = user;
+        profile.tier = await describeTier(prisma, user);
+        return res.json(profile);
 
     }catch(err){
         //console.log(`error getting self ${err.message}`);
@@ -263,7 +456,24 @@ router.get("/me", requireClearance(CLEARANCE.REGULAR), async(req, res) =>{
       
 });
 
-router.get("/:userId", requireClearance(CLEARANCE.CASHIER), async(req, res)=>{
+const qrQuery = z.object({
+    format: z.enum(QR_FORMATS).optional()
+});
+
+// short-lived identity code a cashier scans instead of typing the utorid
+router.get("/me/qr", requireClearance(CLEARANCE.REGULAR), validatePayload(qrQuery), async(req, res)=>{
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: req.auth.uid},
+            select: {id: true, utorid: true}
+        });
+        return await sendQr(res, signUserQr(user), req.query.format);
+    }catch(err){
+        return res.status(500).json({error: `error generating QR code ${err.message}`});
+    }
+});
+
+router.get("/:userId", requirePermission("users.view"), async(req, res)=>{
     //console.log("get user", req.body);
 
     // build select depengind on users role
@@ -275,12 +485,14 @@ router.get("/:userId", requireClearance(CLEARANCE.CASHIER), async(req, res)=>{
     }
 
     
-    if(req.auth.role === 'cashier'){
+    // full profile only for users that may also edit it
+    if(!hasPermission(req.user, 'users.update')){
         select.id = true;
         select.utorid = true;
         select.name = true;
         select.points = true;
         select.verified = true;
+        select.tier = true;
     }else{
         select.id = true;
         select.utorid = true;
@@ -293,6 +505,9 @@ router.get("/:userId", requireClearance(CLEARANCE.CASHIER), async(req, res)=>{
         select.lastLogin = true;
         select.verified = true;
         select.avatarUrl = true;
+        select.tier = true;
+        select.lifetimePoints = true;
+        select.tierUpdatedAt = true;
     }
 
     
@@ -307,7 +522,9 @@ router.get("/:userId", requireClearance(CLEARANCE.CASHIER), async(req, res)=>{
         //need to handle getting promotions waiting on understanding promotions functionality
         user.promotions = await getUsersValidPromotions(user);
 
-        return res.status(200).json(user);
+        const { tierUpdatedAt, ...profile } = user;
+        profile.tier = await describeTier(prisma, user);
+        return res.status(200).json(profile);
 
     }catch(err){
         return res.status(500).json({error: `error getting user ${userId} -> ${err.message}`})
@@ -324,7 +541,7 @@ const patchUserSchema = z.object({
     role: z.enum(['regular', 'cashier', 'manager', 'superuser']).optional().nullable(),
 });
 
-router.patch("/:userId", requireClearance(CLEARANCE.MANAGER), validatePayload(patchUserSchema), async(req, res)=>{
+router.patch("/:userId", requirePermission("users.update"), validatePayload(patchUserSchema), auditLog("user.update", "user", {entityId: paramId("userId"), load: loadUserSnapshot}), async(req, res)=>{
     // console.log({
     // body: req.body,
     // query: req.query,
@@ -369,8 +586,11 @@ router.patch("/:userId", requireClearance(CLEARANCE.MANAGER), validatePayload(pa
         select.suspicious = true;
     }
     if(role){
-        //for manager can only update roles of cashier or regular
-        if(req.auth.role === 'manager' && (role === 'manager' || role === 'superuser') ){  
+        if(!hasPermission(req.user, 'users.promote')){
+            return res.status(403).json({error: "not permitted to change user roles"});
+        }
+        //only superusers hand out manager or superuser, everyone else can only set cashier or regular
+        if(req.user.role !== 'superuser' && (role === 'manager' || role === 'superuser') ){  
             // console.log({
             // body: req.body,
             // query: req.query,
@@ -379,7 +599,7 @@ router.patch("/:userId", requireClearance(CLEARANCE.MANAGER), validatePayload(pa
             // method: req.method,
             // url: req.url,
             // error: `manager not permitted to make role update for role - ${role}`})  
-            return res.status(403).json({error: `manager not permitted to make role update for role - ${role}`});   
+            return res.status(403).json({error: `${req.user.role} not permitted to make role update for role - ${role}`});   
         }
 
         if(role === 'cashier'){
@@ -420,6 +640,230 @@ router.patch("/:userId", requireClearance(CLEARANCE.MANAGER), validatePayload(pa
 });
 
 
+router.delete("/:userId/sessions", requirePermission("users.sessions.revoke"), auditLog("user.sessions_revoke", "user", {entityId: paramId("userId")}), async(req, res)=>{
+    const userId = Number(req.params.userId);
+    if(!Number.isInteger(userId)){
+        return res.status(400).json({error: "Invalid user ID - must be a number"});
+    }
+
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: userId},
+            select: {id: true, utorid: true}
+        });
+        if(!user){
+            return res.status(404).json({error: "user not found"});
+        }
+
+        const revokedSessions = await revokeAllSessions(prisma, user.id, "revoked");
+        return res.status(200).json({id: user.id, utorid: user.utorid, revokedSessions});
+    }catch(err){
+        return res.status(500).json({error: `error revoking sessions for user ${userId} -> ${err.message}`});
+    }
+
+});
+
+router.delete("/:userId/lockout", requirePermission("users.unlock"), auditLog("user.unlock", "user", {entityId: paramId("userId")}), async(req, res)=>{
+    const userId = Number(req.params.userId);
+    if(!Number.isInteger(userId)){
+        return res.status(400).json({error: "Invalid user ID - must be a number"});
+    }
+
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: userId},
+            select: {id: true, utorid: true}
+        });
+        if(!user){
+            return res.status(404).json({error: "user not found"});
+        }
+
+        const unlocked = await clearLoginFailures(prisma, user.utorid);
+        return res.status(200).json({id: user.id, utorid: user.utorid, unlocked});
+    }catch(err){
+        return res.status(500).json({error: `error unlocking user ${userId} -> ${err.message}`});
+    }
+
+});
+
+const ledgerQuery = z.object({
+    page: z.coerce.number().int().positive().optional().nullable(),
+    limit: z.coerce.number().int().positive().optional().nullable()
+});
+
+// a user's points ledger, oldest first, with the balance after every entry
+router.get("/:userId/ledger", requireClearance(CLEARANCE.REGULAR), validatePayload(ledgerQuery), async(req, res)=>{
+    const userId = req.params.userId === "me" ? req.auth.uid : Number(req.params.userId);
+    if(!Number.isInteger(userId)){
+        return res.status(400).json({error: "Invalid user ID - must be a number"});
+    }
+    if(userId !== req.auth.uid && !hasPermission(req.user, "ledger.view")){
+        return res.status(403).json({error: "Forbidden"});
+    }
+
+    const page = req.query.page ?? 1;
+    const limit = req.query.limit ?? 10;
+
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: userId},
+            select: {id: true, utorid: true, points: true}
+        });
+        if(!user){
+            return res.status(404).json({error: "user not found"});
+        }
+
+        const [count, entries] = await Promise.all([
+            prisma.ledgerEntry.count({where: {userId}}),
+            prisma.ledgerEntry.findMany({
+                where: {userId},
+                orderBy: {id: "asc"},
+                skip: (page - 1) * limit,
+                take: limit
+            })
+        ]);
+
+        // the other legs of each journal say where the points came from or went to
+        const counterparts = await prisma.ledgerEntry.findMany({
+            where: {journalId: {in: entries.map(e => e.journalId)}, NOT: {userId}},
+            select: {journalId: true, account: true}
+        });
+
+        let balance = entries.length > 0
+            ? await ledgerBalance(prisma, userId, {id: {lt: entries[0].id}})
+            : 0;
+        const results = entries.map(entry => {
+            balance += entry.amount;
+            return {
+                id: entry.id,
+                journalId: entry.journalId,
+                transactionId: entry.transactionId,
+                amount: entry.amount,
+                balance,
+                counterAccounts: counterparts.filter(c => c.journalId === entry.journalId).map(c => c.account),
+                memo: entry.memo,
+                createdAt: entry.createdAt
+            };
+        });
+
+        return res.status(200).json({
+            id: user.id,
+            utorid: user.utorid,
+            points: user.points,
+            ledgerBalance: await ledgerBalance(prisma, userId),
+            count,
+            results
+        });
+    }catch(err){
+        return res.status(500).json({error: `error getting ledger for user ${userId} -> ${err.message}`});
+    }
+});
+
+// audit snapshot of a user's permission overrides, keyed by permission name
+const loadPermissionSnapshot = async (id) => {
+    const overrides = await prisma.userPermission.findMany({
+        where: {userId: id},
+        select: {permission: true, granted: true}
+    });
+    return Object.fromEntries(overrides.map(o => [o.permission, o.granted]));
+};
+
+async function describePermissions(userId){
+    const user = await prisma.user.findUnique({
+        where: {id: userId},
+        select: {id: true, utorid: true, role: true,
+                permissionOverrides: {select: {permission: true, granted: true, grantedById: true, createdAt: true}}}
+    });
+    if(!user){
+        return null;
+    }
+    return {
+        id: user.id,
+        utorid: user.utorid,
+        role: user.role,
+        rolePermissions: rolePermissions(user.role),
+        overrides: user.permissionOverrides,
+        effective: [...effectivePermissions(user.role, user.permissionOverrides)].sort(),
+    };
+}
+
+function parsePermissionParams(req, res){
+    const userId = Number(req.params.userId);
+    if(!Number.isInteger(userId)){
+        res.status(400).json({error: "Invalid user ID - must be a number"});
+        return null;
+    }
+    const permission = req.params.permission;
+    if(!isKnownPermission(permission)){
+        res.status(400).json({error: `unknown permission ${permission} - must be one of ${PERMISSIONS.join(", ")}`});
+        return null;
+    }
+    return {userId, permission};
+}
+
+router.get("/:userId/permissions", requirePermission("users.permissions"), async(req, res)=>{
+    const userId = Number(req.params.userId);
+    if(!Number.isInteger(userId)){
+        return res.status(400).json({error: "Invalid user ID - must be a number"});
+    }
+
+    try{
+        const permissions = await describePermissions(userId);
+        if(!permissions){
+            return res.status(404).json({error: "user not found"});
+        }
+        return res.status(200).json(permissions);
+    }catch(err){
+        return res.status(500).json({error: `error getting permissions for user ${userId} -> ${err.message}`});
+    }
+});
+
+const setPermissionPayload = z.object({
+    granted: z.boolean(),
+});
+
+// grant (granted: true) or revoke (granted: false) one permission regardless of the user's role
+router.put("/:userId/permissions/:permission", requirePermission("users.permissions"), validatePayload(setPermissionPayload), auditLog("user.permission_set", "user", {entityId: paramId("userId"), load: loadPermissionSnapshot}), async(req, res)=>{
+    const params = parsePermissionParams(req, res);
+    if(!params) return;
+    const {userId, permission} = params;
+
+    try{
+        const user = await prisma.user.findUnique({where: {id: userId}, select: {id: true}});
+        if(!user){
+            return res.status(404).json({error: "user not found"});
+        }
+
+        const {granted} = req.body;
+        await prisma.userPermission.upsert({
+            where: {userId_permission: {userId, permission}},
+            create: {userId, permission, granted, grantedById: req.auth.uid},
+            update: {granted, grantedById: req.auth.uid},
+        });
+
+        return res.status(200).json(await describePermissions(userId));
+    }catch(err){
+        return res.status(500).json({error: `error updating permission ${permission} for user ${userId} -> ${err.message}`});
+    }
+});
+
+// drop an override so the user falls back to their role's default
+router.delete("/:userId/permissions/:permission", requirePermission("users.permissions"), auditLog("user.permission_reset", "user", {entityId: paramId("userId"), load: loadPermissionSnapshot}), async(req, res)=>{
+    const params = parsePermissionParams(req, res);
+    if(!params) return;
+    const {userId, permission} = params;
+
+    try{
+        const result = await prisma.userPermission.deleteMany({where: {userId, permission}});
+        if(result.count === 0){
+            return res.status(404).json({error: `no override for ${permission} on user ${userId}`});
+        }
+        return res.status(200).json(await describePermissions(userId));
+    }catch(err){
+        return res.status(500).json({error: `error resetting permission ${permission} for user ${userId} -> ${err.message}`});
+    }
+});
+
 const updateOwnPasswordSchema = z.object({
     old: z.string(),
     new: z.string().min(8, "Password must be at least 8 characters long")
@@ -430,7 +874,7 @@ const updateOwnPasswordSchema = z.object({
   .regex(/[^A-Za-z0-9]/, "Password must contain at least one special character")
 });
 
-router.patch("/me/password", requireClearance(CLEARANCE.REGULAR), validatePayload(updateOwnPasswordSchema), async(req, res)=> {
+router.patch("/me/password", requireClearance(CLEARANCE.REGULAR), validatePayload(updateOwnPasswordSchema), auditLog("user.password_change", "user", {entityId: selfId}), async(req, res)=> {
     //console.log("PATCH /me/password body:", req.body);
     
     const {old, new:newPassword} = req.body;
@@ -464,6 +908,137 @@ router.patch("/me/password", requireClearance(CLEARANCE.REGULAR), validatePayloa
 
 });
 
+// two-factor enrollment must stay reachable for users the 2FA policy is currently locking out
+const twoFactorClearance = requireClearance(CLEARANCE.REGULAR, {skipTwoFactorPolicy: true});
+
+router.post("/me/2fa/setup", twoFactorClearance, auditLog("user.2fa_setup", "user", {entityId: selfId}), async(req, res)=> {
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: req.auth.uid},
+            select: {id: true, utorid: true, twoFactorEnabled: true}
+        });
+
+        if(user.twoFactorEnabled){
+            return res.status(409).json({error: "two-factor authentication is already enabled"});
+        }
+
+        // kept pending until the user proves their authenticator app produces valid codes
+        const secret = generateSecret();
+        await prisma.user.update({
+            where: {id: user.id},
+            data: {twoFactorPendingSecret: secret}
+        });
+
+        return res.status(200).json({secret, otpauthUrl: otpauthUrl(secret, user.utorid, "CSSU Rewards")});
+    }catch(err){
+        return res.status(500).json({error: `error starting 2fa setup ${err.message}`});
+    }
+});
+
+const twoFactorCodePayload = z.object({
+    code: z.string().regex(/^\d{6}$/, "code must be 6 digits"),
+});
+
+router.post("/me/2fa/confirm", twoFactorClearance, validatePayload(twoFactorCodePayload), auditLog("user.2fa_enable", "user", {entityId: selfId, load: loadUserSnapshot}), async(req, res)=> {
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: req.auth.uid},
+            select: {id: true, twoFactorEnabled: true, twoFactorPendingSecret: true}
+        });
+
+        if(user.twoFactorEnabled){
+            return res.status(409).json({error: "two-factor authentication is already enabled"});
+        }
+        if(!user.twoFactorPendingSecret){
+            return res.status(400).json({error: "call /users/me/2fa/setup first"});
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+        if(step === null){
+            return res.status(400).json({error: "invalid two-factor code"});
+        }
+
+        await prisma.user.update({
+            where: {id: user.id},
+            data: {
+                twoFactorEnabled: true,
+                twoFactorSecret: user.twoFactorPendingSecret,
+                twoFactorPendingSecret: null,
+                twoFactorLastStep: step
+            }
+        });
+        const recoveryCodes = await generateRecoveryCodes(prisma, user.id);
+
+        return res.status(200).json({enabled: true, recoveryCodes});
+    }catch(err){
+        return res.status(500).json({error: `error confirming 2fa ${err.message}`});
+    }
+});
+
+const secondFactorPayload = z.object({
+    code: z.string().optional(),
+    recoveryCode: z.string().optional(),
+}).refine(val => val.code || val.recoveryCode, {message: "code or recoveryCode is required"});
+
+const disableTwoFactorPayload = z.object({
+    password: z.string(),
+    code: z.string().optional(),
+    recoveryCode: z.string().optional(),
+}).refine(val => val.code || val.recoveryCode, {message: "code or recoveryCode is required"});
+
+router.delete("/me/2fa", twoFactorClearance, validatePayload(disableTwoFactorPayload), auditLog("user.2fa_disable", "user", {entityId: selfId, load: loadUserSnapshot}), async(req, res)=> {
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: req.auth.uid}
+        });
+
+        if(!user.twoFactorEnabled){
+            return res.status(400).json({error: "two-factor authentication is not enabled"});
+        }
+        if(twoFactorRequiredFor(user.role)){
+            return res.status(403).json({error: `two-factor authentication is mandatory for role ${user.role}`});
+        }
+
+        const passwordMatches = user.password && await bcrypt.compare(req.body.password, user.password);
+        if(!passwordMatches){
+            return res.status(403).json({error: "password is incorrect"});
+        }
+        if(!(await verifySecondFactor(prisma, user, req.body))){
+            return res.status(403).json({error: "invalid two-factor code"});
+        }
+
+        await prisma.user.update({
+            where: {id: user.id},
+            data: {twoFactorEnabled: false, twoFactorSecret: null, twoFactorPendingSecret: null, twoFactorLastStep: null, twoFactorChallenge: null}
+        });
+        await prisma.recoveryCode.deleteMany({where: {userId: user.id}});
+
+        return res.status(200).json({enabled: false});
+    }catch(err){
+        return res.status(500).json({error: `error disabling 2fa ${err.message}`});
+    }
+});
+
+router.post("/me/2fa/recovery-codes", twoFactorClearance, validatePayload(secondFactorPayload), auditLog("user.2fa_recovery_codes", "user", {entityId: selfId}), async(req, res)=> {
+    try{
+        const user = await prisma.user.findUnique({
+            where: {id: req.auth.uid}
+        });
+
+        if(!user.twoFactorEnabled){
+            return res.status(400).json({error: "two-factor authentication is not enabled"});
+        }
+        if(!(await verifySecondFactor(prisma, user, req.body))){
+            return res.status(403).json({error: "invalid two-factor code"});
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(prisma, user.id);
+        return res.status(200).json({recoveryCodes});
+    }catch(err){
+        return res.status(500).json({error: `error regenerating recovery codes ${err.message}`});
+    }
+});
+
 // Ariel's subrouter for /users/transactions
 const userTransactionsRouter = require('./users_transactions');
 router.use('/', userTransactionsRouter);
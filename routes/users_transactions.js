@@ -1,6 +1,11 @@
 const { CLEARANCE, requireClearance } = require('./auth_middleware');
 const { validateString, validateEnum, validateNumber, validateInputFields } = require('./utils/validators');
-const { PrismaClient, TransactionType } = require('@prisma/client');
+const { PrismaClient, TransactionType, TransactionStatus } = require('@prisma/client');
+const { auditLog, paramId } = require('./utils/audit');
+const { ACCOUNTS, postJournal } = require('./utils/ledger');
+const { HttpError } = require('./utils/errors');
+const { redemptionStatus, openRedemption, pointsBalance } = require('./utils/redemptions');
+const { QR_FORMATS, signRedemptionQr, sendQr } = require('./utils/qr');
 
 const prisma = new PrismaClient();
 const express = require("express");
@@ -53,7 +58,7 @@ const validators = {
 };
 
 // create a new redemption transaction -> regular
-router.post('/me/transactions', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.post('/me/transactions', requireClearance(CLEARANCE.REGULAR), auditLog('transaction.redemption', 'transaction'), async (req, res) => {
     const { type, amount, remark } = req.body;
     let validations = [
         () => validators.type(type, ['redemption'], true),
@@ -62,43 +67,55 @@ router.post('/me/transactions', requireClearance(CLEARANCE.REGULAR), async (req,
     ]
     if (validateInputFields(validations, res)) return;
 
-    await prisma.$transaction(async (prisma) => {
-        const pointAmount = parseInt(amount);
-        const userId = parseInt(req.auth.sub);
-        const user = await prisma.user.findUnique({
-            where: { id: userId }
-        });
-        if (!user) {
-            return res.status(500).json({ 'error': 'UserId of self not found' })
-        }
-        if (user.points < pointAmount) {
-            return res.status(400).json({ 'error': `User has ${user.points} points, but tried to redeem ${pointAmount} points` })
-        }
-        if (user.verified === false) {
-            return res.status(403).json({ 'error': 'User cannot redeem points, they need to be verified first' })
-        }
+    const pointAmount = parseInt(amount);
+    const userId = parseInt(req.auth.sub);
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            // reserve first and check afterwards: the insert takes the database's write lock, so a
+            // concurrent request waits for this one to commit and its check then counts this reservation
+            const transaction = await tx.transaction.create({
+                data: {
+                    type: TransactionType.redemption,
+                    status: TransactionStatus.pending,
+                    amount: -(pointAmount),
+                    remark: remark ?? null,
+                    userId,
+                    createdById: userId
+                }
+            });
 
-        const transaction = await prisma.transaction.create({
-            data: {
-                type: TransactionType.redemption,
-                amount: -(pointAmount),
-                remark: remark ?? null,
-                userId,
-                createdById: userId
+            const user = await tx.user.findUnique({
+                where: { id: userId }
+            });
+            if (!user) {
+                throw new HttpError(500, 'UserId of self not found');
+            }
+            const { available, reserved } = await pointsBalance(tx, user);
+            if (available < 0) {
+                throw new HttpError(400, `User has ${available + pointAmount} points available (${reserved - pointAmount} reserved by pending redemptions), but tried to redeem ${pointAmount} points`);
+            }
+            if (user.verified === false) {
+                throw new HttpError(403, 'User cannot redeem points, they need to be verified first');
             }
-        });
 
-        const result = {
-            id: transaction.id,
-            utorid: user.utorid,
-            type,
-            processedBy: transaction.processedById,
-            amount: pointAmount,
-            remark: remark ?? "",
-            createdBy: user.utorid
-        }
+            return {
+                id: transaction.id,
+                utorid: user.utorid,
+                type,
+                processedBy: transaction.processedById,
+                amount: pointAmount,
+                remark: remark ?? "",
+                createdBy: user.utorid
+            }
+        });
         res.status(201).json(result);
-    })
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ 'error': err.message });
+        }
+        res.status(500).json({ 'error': `error creating redemption: ${err.message}` });
+    }
 });
 
 // Retrieve a list of transactions owned by the currently logged in user
@@ -113,7 +130,7 @@ router.get('/me/transactions', requireClearance(CLEARANCE.REGULAR), async (req,
         limit
     } = req.body;
 
-    const transactionTypes = ['purchase', 'redemption', 'adjustment', 'event', 'transfer'];
+    const transactionTypes = ['purchase', 'redemption', 'adjustment', 'event', 'transfer', 'expiration', 'refund'];
     let validations = [
         () => validators.type(type, transactionTypes, false),
         () => validators.relatedId(relatedId, type, transactionTypes, false),
@@ -166,7 +183,9 @@ router.get('/me/transactions', requireClearance(CLEARANCE.REGULAR), async (req,
             spent: true,
             amount: true,
             promotions: { select: { promotionId: true }},
-            remark: true
+            remark: true,
+            status: true,
+            processedById: true
         }
     });
     const results = transactions.map(t => ({
@@ -175,14 +194,81 @@ router.get('/me/transactions', requireClearance(CLEARANCE.REGULAR), async (req,
         spent: t.spent,
         amount: t.amount,
         promotionIds: t.promotions.map(p => p.promotionId), // flatten
-        remark: t.remark
+        remark: t.remark,
+        ...(t.type === TransactionType.redemption ? { status: redemptionStatus(t) } : {})
     }));
     const count = await prisma.transaction.count({ where: filters });
     res.status(200).json({ count, results });
 });
 
+// Withdraw one of the current user's redemptions before a cashier processes it
+router.delete('/me/transactions/:transactionId', requireClearance(CLEARANCE.REGULAR), auditLog('transaction.redemption_cancel', 'transaction', { entityId: paramId('transactionId') }), async (req, res) => {
+    const transactionId = Number(req.params.transactionId);
+    if (validateInputFields([
+        () => validateNumber(transactionId, 'transactionId', { required: true, requireInteger: true, minValue: 1 }),
+    ], res)) return;
+
+    const userId = parseInt(req.auth.sub);
+    const transaction = await prisma.transaction.findUnique({
+        where: { id: transactionId }
+    });
+    if (!transaction || transaction.userId !== userId || transaction.type !== TransactionType.redemption) {
+        return res.status(404).json({ 'error': 'Redemption not found' });
+    }
+
+    const status = redemptionStatus(transaction);
+    if (status !== TransactionStatus.pending) {
+        return res.status(400).json({ 'error': `Bad Request: redemption is ${status}` });
+    }
+
+    const cancelled = await prisma.transaction.updateMany({
+        where: { id: transactionId, ...openRedemption },
+        data: { status: TransactionStatus.cancelled }
+    });
+    if (cancelled.count === 0) {
+        return res.status(409).json({ 'error': 'Conflict: redemption is no longer pending' });
+    }
+
+    res.status(200).json({
+        id: transaction.id,
+        type: transaction.type,
+        amount: -transaction.amount,
+        remark: transaction.remark ?? "",
+        status: TransactionStatus.cancelled
+    });
+});
+
+// QR code for one of the current user's pending redemptions, for the cashier to scan
+router.get('/me/transactions/:transactionId/qr', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+    const transactionId = Number(req.params.transactionId);
+    const { format } = req.query;
+    if (validateInputFields([
+        () => validateNumber(transactionId, 'transactionId', { required: true, requireInteger: true, minValue: 1 }),
+        () => validateEnum(format, 'format', QR_FORMATS),
+    ], res)) return;
+
+    const userId = parseInt(req.auth.sub);
+    const transaction = await prisma.transaction.findUnique({
+        where: { id: transactionId }
+    });
+    if (!transaction || transaction.userId !== userId || transaction.type !== TransactionType.redemption) {
+        return res.status(404).json({ 'error': 'Redemption not found' });
+    }
+
+    const status = redemptionStatus(transaction);
+    if (status !== TransactionStatus.pending) {
+        return res.status(400).json({ 'error': `Bad Request: redemption is ${status}` });
+    }
+
+    try {
+        await sendQr(res, signRedemptionQr(transaction), format);
+    } catch (err) {
+        res.status(500).json({ 'error': `error generating QR code: ${err.message}` });
+    }
+});
+
 // Create a new transfer transaction between the current logged-in user and userId
-router.post('/:userId/transactions', requireClearance(CLEARANCE.REGULAR), async (req, res) => {
+router.post('/:userId/transactions', requireClearance(CLEARANCE.REGULAR), auditLog('transaction.transfer', 'transaction'), async (req, res) => {
     const userId = req.params["userId"];
     const { type, amount, remark } = req.body;
     let validations = [
@@ -195,86 +281,96 @@ router.post('/:userId/transactions', requireClearance(CLEARANCE.REGULAR), async
     const receiverId = parseInt(userId);
     const senderId = parseInt(req.auth.sub);
 
-    await prisma.$transaction(async (prisma) => {
-        const pointAmount = parseInt(amount);
+    const pointAmount = parseInt(amount);
+
+    try {
         const sender = await prisma.user.findUnique({
             where: { id: senderId }
         });
         if (!sender) {
-            return res.status(500).json({ 'error': 'UserId of sender not found' })
-        }
-        if (sender.points < pointAmount) {
-            const senderPoints = sender.points;
-            return res.status(400).json({ 'error': `Sender has ${senderPoints} points, but tried to send ${pointAmount} points` })
+            throw new HttpError(500, 'UserId of sender not found');
         }
         if (sender.verified === false) {
-            return res.status(403).json({ 'error': 'Sender cannot send money, they need to be verified first' })
+            throw new HttpError(403, 'Sender cannot send money, they need to be verified first');
         }
 
         const receiver = await prisma.user.findUnique({
             where: { id: receiverId }
         });
         if (!receiver) {
-            return res.status(404).json({ 'error': 'Userid of receiver not found' })
+            throw new HttpError(404, 'Userid of receiver not found');
         }
 
-        await prisma.user.update({
-            where: { id: senderId },
-            data: {
-                points: { decrement: pointAmount }
-            }
-        });
-        await prisma.user.update({
-            where: { id: receiverId },
-            data: {
-                points: { increment: pointAmount }
-            }
-        });
+        // both sides of the transfer and its journal are written together or not at all. The debit
+        // comes before the balance check: writing takes the database's write lock, so a concurrent
+        // transfer or redemption waits for this one to commit and its own check then sees this debit
+        const result = await prisma.$transaction(async (tx) => {
+            const senderTransaction = await tx.transaction.create({
+                data: {
+                    type: TransactionType.transfer,
+                    amount: -(pointAmount),
+                    remark: remark ?? null,
+                    userId: sender.id,
+                    createdById: sender.id,
+                    relatedUserId: receiver.id
+                }
+            });
+            const receiverTransaction = await tx.transaction.create({
+                data: {
+                    type: TransactionType.transfer,
+                    amount: pointAmount,
+                    remark: remark ?? null,
+                    userId: receiver.id,
+                    createdById: sender.id,
+                    relatedUserId: sender.id
+                }
+            });
+            await tx.transaction.update({
+                where: { id: senderTransaction.id },
+                data: {
+                    relatedTransactionId: receiverTransaction.id
+                }
+            });
+            await tx.transaction.update({
+                where: { id: receiverTransaction.id },
+                data: {
+                    relatedTransactionId: senderTransaction.id
+                }
+            });
+            await postJournal(tx, {
+                memo: 'transfer',
+                source: TransactionType.transfer,
+                entries: [
+                    { account: ACCOUNTS.user(sender.id), amount: -pointAmount, transactionId: senderTransaction.id },
+                    { account: ACCOUNTS.user(receiver.id), amount: pointAmount, transactionId: receiverTransaction.id },
+                ],
+            });
 
-        const senderTransaction = await prisma.transaction.create({
-            data: {
-                type: TransactionType.transfer,
-                amount: -(pointAmount),
-                remark: remark ?? null,
-                userId: sender.id,
-                createdById: sender.id,
-                relatedUserId: receiver.id
-            }
-        });
-        const receiverTransaction = await prisma.transaction.create({
-            data: {
-                type: TransactionType.transfer,
-                amount: pointAmount,
-                remark: remark ?? null,
-                userId: receiver.id,
-                createdById: sender.id,
-                relatedUserId: sender.id
-            }
-        });
-        await prisma.transaction.update({
-            where: { id: senderTransaction.id },
-            data: {
-                relatedTransactionId: receiverTransaction.id
+            const debited = await tx.user.findUnique({
+                where: { id: sender.id }
+            });
+            const { available, reserved } = await pointsBalance(tx, debited);
+            if (available < 0) {
+                throw new HttpError(400, `Sender has ${available + pointAmount} points available (${reserved} reserved by pending redemptions), but tried to send ${pointAmount} points`);
             }
-        });
-        await prisma.transaction.update({
-            where: { id: receiverTransaction.id },
-            data: {
-                relatedTransactionId: senderTransaction.id
+
+            return {
+                id: senderTransaction.id,
+                sender: sender.utorid,
+                recipient: receiver.utorid,
+                type,
+                sent: pointAmount,
+                remark,
+                createdBy: sender.utorid
             }
         });
-
-        const result = {
-            id: senderTransaction.id,
-            sender: sender.utorid,
-            recipient: receiver.utorid,
-            type,
-            sent: pointAmount,
-            remark,
-            createdBy: sender.utorid
-        }
         res.status(201).json(result);
-    })
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return res.status(err.status).json({ 'error': err.message });
+        }
+        res.status(500).json({ 'error': `error creating transfer: ${err.message}` });
+    }
 });
 
 router.all('/', async (req, res) => {
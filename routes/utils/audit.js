@@ -0,0 +1,129 @@
+/*
+ * Audit trail for mutating routes.
+ *
+ *   router.patch('/:userId', requireClearance(...), auditLog('user.update', 'user', {
+ *       entityId: req => Number(req.params.userId),
+ *       load: id => prisma.user.findUnique({ where: { id }, select: {...} }),
+ *   }), handler)
+ *
+ * The entity is snapshotted with `load` before the handler runs and again once a 2xx response
+ * has been sent; only the fields that changed are stored. Without `load` the JSON response body
+ * is recorded as the "after" state. Creates take their entity id from the response body's `id`.
+ * Place it after the auth middleware so the actor is known.
+ */
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// never persisted, whatever the route returns
+const REDACTED_KEYS = new Set([
+    'password', 'resetToken', 'token', 'refreshToken', 'challengeToken',
+    'secret', 'otpauthUrl', 'recoveryCodes',
+    'twoFactorSecret', 'twoFactorPendingSecret',
+]);
+
+function sanitize(value) {
+    if (Array.isArray(value)) return value.map(sanitize);
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object') {
+        const clean = {};
+        for (const [key, inner] of Object.entries(value)) {
+            if (!REDACTED_KEYS.has(key)) clean[key] = sanitize(inner);
+        }
+        return clean;
+    }
+    return value;
+}
+
+// keep only the keys whose values differ, so a log row reads as a diff
+function diff(before, after) {
+    if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+        return { before, after };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            changedBefore[key] = before[key];
+            changedAfter[key] = after[key];
+        }
+    }
+    return { before: changedBefore, after: changedAfter };
+}
+
+function actorIdOf(req) {
+    const id = req.auth?.uid ?? req.actor?.id ?? Number(req.auth?.sub);
+    return Number.isInteger(id) ? id : null;
+}
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+async function writeAuditLog({ actorId, action, entityType, entityId, before, after, ip }) {
+    const changes = diff(sanitize(before ?? null), sanitize(after ?? null));
+    await prisma.auditLog.create({
+        data: {
+            actorId,
+            action,
+            entityType,
+            entityId: Number.isInteger(entityId) ? entityId : null,
+            before: toJson(changes.before),
+            after: toJson(changes.after),
+            ip: ip || null,
+        },
+    });
+}
+
+function auditLog(action, entityType, options = {}) {
+    const { entityId: resolveEntityId, load } = options;
+
+    return async (req, res, next) => {
+        try {
+            let entityId = resolveEntityId ? resolveEntityId(req) : null;
+            const before = load && Number.isInteger(entityId) ? await load(entityId, req) : null;
+
+            let responseBody;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return json(body);
+            };
+
+            res.on('finish', async () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+                try {
+                    if (!Number.isInteger(entityId) && Number.isInteger(responseBody?.id)) {
+                        entityId = responseBody.id;
+                    }
+
+                    const after = load && Number.isInteger(entityId)
+                        ? await load(entityId, req)
+                        : responseBody;
+
+                    await writeAuditLog({
+                        actorId: actorIdOf(req),
+                        action: typeof action === 'function' ? action(req) : action,
+                        entityType,
+                        entityId,
+                        before,
+                        after,
+                        ip: req.ip,
+                    });
+                } catch (err) {
+                    // auditing must never break the request that already succeeded
+                    console.error(`audit log write failed for ${req.method} ${req.originalUrl}`, err);
+                }
+            });
+
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+// entityId resolver for the common `/:someId` route shapes
+const paramId = (name) => (req) => Number(req.params[name]);
+
+module.exports = { auditLog, paramId, writeAuditLog };
@@ -0,0 +1,93 @@
+// Minimal RFC 4180 reader: comma separated, "quoted" fields with "" escapes, CRLF or LF line ends.
+// Returns an array of records, each an array of raw string fields; blank lines are skipped.
+function parseCsv(text) {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // Excel writes a BOM
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+        field = '';
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+            i++;
+            continue;
+        }
+
+        if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            endRecord();
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+        } else {
+            field += ch;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        throw new Error('unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    return records;
+}
+
+// turns records into objects keyed by the (trimmed, lower-cased) header row
+function recordsToObjects(records, requiredColumns) {
+    if (records.length === 0) {
+        throw new Error('empty file');
+    }
+
+    const header = records[0].map(column => column.trim().toLowerCase());
+    const missing = requiredColumns.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`missing column(s): ${missing.join(', ')}`);
+    }
+
+    return records.slice(1).map(fields => {
+        const row = {};
+        header.forEach((column, index) => {
+            if (requiredColumns.includes(column)) row[column] = (fields[index] ?? '').trim();
+        });
+        return row;
+    });
+}
+
+// one CSV line (with trailing CRLF); null/undefined become empty fields, arrays are joined with ";"
+function toCsvLine(values) {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) value = value.join(';');
+        if (value instanceof Date) value = value.toISOString();
+        if (typeof value !== 'string') return String(value);
+
+        // spreadsheets evaluate text starting with these as formulas
+        const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, recordsToObjects, toCsvLine };
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status; route handlers map it to { error: message }
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+module.exports = { HttpError };
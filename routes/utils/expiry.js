@@ -0,0 +1,144 @@
+/*
+ * Point expiry. Points from the policy's sources expire `months` after they were earned; what is
+ * left of an expired lot is removed by an `expiration` transaction. Because debits drain the oldest
+ * lots first, spending points always uses up the ones closest to expiring.
+ */
+const { TransactionType } = require('@prisma/client');
+const { getSetting, updateSetting } = require('./settings');
+const { ACCOUNTS, postJournal } = require('./ledger');
+const { reservedPoints } = require('./redemptions');
+
+const EXPIRY_POLICY_KEY = 'points.expiry';
+
+const DEFAULT_EXPIRY_POLICY = {
+    enabled: false,
+    months: 12,
+    sources: [TransactionType.purchase, TransactionType.event],
+    noticeDays: 30,            // how far ahead GET /users/me lists upcoming expirations
+};
+
+const getExpiryPolicy = (client) => getSetting(client, EXPIRY_POLICY_KEY, DEFAULT_EXPIRY_POLICY);
+
+const updateExpiryPolicy = (client, changes, updatedById) =>
+    updateSetting(client, EXPIRY_POLICY_KEY, DEFAULT_EXPIRY_POLICY, changes, updatedById);
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+}
+
+// lots earned on or before the returned date have expired by `at`
+const earnedCutoff = (policy, at) => addMonths(at, -policy.months);
+
+// lots of one user that expire within the notice window, soonest first
+async function upcomingExpirations(client, userId, now = new Date()) {
+    const policy = await getExpiryPolicy(client);
+    if (!policy.enabled) return [];
+
+    const horizon = new Date(now.getTime() + policy.noticeDays * 24 * 60 * 60 * 1000);
+    const lots = await client.pointLot.findMany({
+        where: {
+            userId,
+            remaining: { gt: 0 },
+            source: { in: policy.sources },
+            earnedAt: { lte: earnedCutoff(policy, horizon) },
+        },
+        orderBy: [{ earnedAt: 'asc' }, { id: 'asc' }],
+    });
+
+    return lots.map(lot => ({
+        points: lot.remaining,
+        earnedAt: lot.earnedAt,
+        expiresAt: addMonths(lot.earnedAt, policy.months),
+        transactionId: lot.transactionId,
+    }));
+}
+
+// expires one user's due lots in a single transaction; returns the expiration transaction or null
+async function expireUserLots(prisma, userId, cutoff, policy) {
+    return prisma.$transaction(async (tx) => {
+        const lots = await tx.pointLot.findMany({
+            where: {
+                userId,
+                remaining: { gt: 0 },
+                source: { in: policy.sources },
+                earnedAt: { lte: cutoff },
+            },
+            orderBy: [{ earnedAt: 'asc' }, { id: 'asc' }],
+        });
+        const user = await tx.user.findUnique({ where: { id: userId }, select: { points: true } });
+        const reserved = await reservedPoints(tx, userId);
+
+        // points held by pending redemptions stay put, and a balance never goes below zero
+        const amount = Math.min(lots.reduce((sum, lot) => sum + lot.remaining, 0), user.points - reserved);
+        if (amount <= 0) return null;
+
+        // when the balance caps the amount, the oldest lots go first and the rest stay for a later run
+        let left = amount;
+        for (const lot of lots) {
+            if (left <= 0) break;
+            const taken = Math.min(lot.remaining, left);
+            await tx.pointLot.update({
+                where: { id: lot.id },
+                data: { remaining: lot.remaining - taken },
+            });
+            left -= taken;
+        }
+
+        const expiration = await tx.transaction.create({
+            data: {
+                type: TransactionType.expiration,
+                amount: -amount,
+                remark: `${amount} points earned on or before ${cutoff.toISOString().slice(0, 10)} expired`,
+                userId,
+            },
+        });
+
+        await postJournal(tx, {
+            transactionId: expiration.id,
+            memo: 'expiration',
+            lots: false,
+            entries: [
+                { account: ACCOUNTS.user(userId), amount: -amount },
+                { account: ACCOUNTS.EXPIRED, amount },
+            ],
+        });
+
+        return expiration;
+    });
+}
+
+// scheduled job: returns how many users lost points and how many points expired in total
+async function expirePoints(prisma, now = new Date()) {
+    const policy = await getExpiryPolicy(prisma);
+    if (!policy.enabled) return { users: 0, points: 0 };
+
+    const cutoff = earnedCutoff(policy, now);
+    const due = await prisma.pointLot.groupBy({
+        by: ['userId'],
+        where: {
+            remaining: { gt: 0 },
+            source: { in: policy.sources },
+            earnedAt: { lte: cutoff },
+        },
+    });
+
+    const summary = { users: 0, points: 0 };
+    for (const { userId } of due) {
+        const expiration = await expireUserLots(prisma, userId, cutoff, policy);
+        if (expiration) {
+            summary.users++;
+            summary.points += -expiration.amount;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_EXPIRY_POLICY,
+    getExpiryPolicy,
+    updateExpiryPolicy,
+    upcomingExpirations,
+    expirePoints,
+};
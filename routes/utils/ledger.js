@@ -0,0 +1,154 @@
+/*
+ * Double-entry points ledger.
+ *
+ * Every points movement is a journal: two or more LedgerEntry rows that share a journalId and sum
+ * to zero. A user's balance is the sum of the entries on their `user:<id>` account; User.points is
+ * a cached copy of that sum and is only ever changed from this module, inside the caller's
+ * transaction, so the two cannot drift apart. Credits to a user also open a point lot and debits
+ * drain lots oldest-first, which is what point expiry works from.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('./errors');
+const { createLot, consumeLots } = require('./point_lots');
+
+const ACCOUNTS = {
+    user: (userId) => `user:${userId}`,
+    event: (eventId) => `event:${eventId}`,
+    PURCHASES: 'system:purchases',          // points issued for purchases
+    ADJUSTMENTS: 'system:adjustments',
+    REDEMPTIONS: 'system:redemptions',      // points taken back for processed redemptions
+    SUSPICIOUS: 'system:suspicious',        // points held back while a transaction is flagged
+    EXPIRED: 'system:expired',
+    RECONCILIATION: 'system:reconciliation',
+};
+
+const USER_ACCOUNT = /^user:(\d+)$/;
+
+// entries: [{ account, amount, transactionId? }]; user accounts also move the matching User.points.
+// source names what earned credited points (a TransactionType); lots: false leaves lots untouched
+// for callers that manage them directly (the expiry job)
+async function postJournal(client, { entries, transactionId = null, memo = null, source = 'other', lots = true }) {
+    const legs = entries.filter(entry => entry.amount !== 0);
+    if (legs.length === 0) return null;
+
+    if (legs.some(entry => !Number.isInteger(entry.amount))) {
+        throw new HttpError(500, 'Ledger amounts must be whole points');
+    }
+    if (legs.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+        throw new HttpError(500, 'Unbalanced ledger journal');
+    }
+
+    const journalId = uuidv4();
+    for (const { account, amount, transactionId: legTransactionId } of legs) {
+        const match = USER_ACCOUNT.exec(account);
+        const userId = match ? Number(match[1]) : null;
+
+        await client.ledgerEntry.create({
+            data: { journalId, account, userId, transactionId: legTransactionId ?? transactionId, amount, memo },
+        });
+
+        if (userId !== null) {
+            await client.user.update({
+                where: { id: userId },
+                data: { points: { increment: amount } },
+            });
+
+            if (lots && amount > 0) {
+                await createLot(client, { userId, transactionId: legTransactionId ?? transactionId, source, amount });
+            } else if (lots) {
+                await consumeLots(client, userId, -amount);
+            }
+        }
+    }
+
+    return journalId;
+}
+
+// the common two-legged case: `amount` moves from `contra` to the user (negative moves it back)
+function creditUser(client, { userId, amount, contra, transactionId = null, memo = null, source }) {
+    return postJournal(client, {
+        transactionId,
+        memo,
+        source,
+        entries: [
+            { account: ACCOUNTS.user(userId), amount },
+            { account: contra, amount: -amount },
+        ],
+    });
+}
+
+async function ledgerBalance(client, userId, where = {}) {
+    const result = await client.ledgerEntry.aggregate({
+        where: { ...where, userId },
+        _sum: { amount: true },
+    });
+    return result._sum.amount ?? 0;
+}
+
+// every user whose cached points disagree with their ledger account
+async function findBalanceMismatches(client) {
+    const [sums, users] = await Promise.all([
+        client.ledgerEntry.groupBy({
+            by: ['userId'],
+            where: { userId: { not: null } },
+            _sum: { amount: true },
+        }),
+        client.user.findMany({
+            select: { id: true, utorid: true, points: true },
+            orderBy: { id: 'asc' },
+        }),
+    ]);
+
+    const balances = new Map(sums.map(row => [row.userId, row._sum.amount ?? 0]));
+
+    return users
+        .map(user => {
+            const ledger = balances.get(user.id) ?? 0;
+            return { userId: user.id, utorid: user.utorid, points: user.points, ledgerBalance: ledger, difference: user.points - ledger };
+        })
+        .filter(row => row.difference !== 0);
+}
+
+// journals whose legs do not cancel out; always empty unless rows were edited by hand
+async function findUnbalancedJournals(client) {
+    const rows = await client.ledgerEntry.groupBy({
+        by: ['journalId'],
+        _sum: { amount: true },
+        having: { amount: { _sum: { not: 0 } } },
+    });
+    return rows.map(row => ({ journalId: row.journalId, total: row._sum.amount }));
+}
+
+// strategy 'ledger' trusts the ledger and overwrites the cached points with it;
+// strategy 'points' keeps the stored points and books the gap against system:reconciliation
+// (for balances that predate the ledger)
+async function repairBalance(client, userId, strategy = 'ledger') {
+    const user = await client.user.findUnique({ where: { id: userId }, select: { points: true } });
+    const balance = await ledgerBalance(client, userId);
+
+    await client.user.update({
+        where: { id: userId },
+        data: { points: balance },
+    });
+
+    if (strategy === 'points') {
+        await creditUser(client, {
+            userId,
+            amount: user.points - balance,
+            contra: ACCOUNTS.RECONCILIATION,
+            memo: 'opening balance',
+        });
+        return user.points;
+    }
+    return balance;
+}
+
+module.exports = {
+    ACCOUNTS,
+    postJournal,
+    creditUser,
+    ledgerBalance,
+    findBalanceMismatches,
+    findUnbalancedJournals,
+    repairBalance,
+};
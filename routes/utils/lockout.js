@@ -0,0 +1,88 @@
+// Failed-login throttling per utorid, persisted in LoginThrottle so it survives restarts.
+// Unknown utorids are tracked too, so responses do not reveal which accounts exist.
+
+const DELAY_AFTER_FAILURES = 3;          // free attempts before delays kick in
+const BASE_DELAY_MS = 1000;              // doubles with every further failure
+const MAX_DELAY_MS = 60 * 1000;
+const LOCKOUT_THRESHOLD = 10;            // failures before a temporary lockout
+const LOCKOUT_MS = 15 * 60 * 1000;       // 15 minutes
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+function delayFor(failedCount) {
+    if (failedCount < DELAY_AFTER_FAILURES) return 0;
+    return Math.min(BASE_DELAY_MS * 2 ** (failedCount - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+}
+
+function lockedBlock(lockedUntil, now) {
+    return {
+        status: 423,
+        message: 'Account temporarily locked due to too many failed login attempts',
+        retryAfter: toSeconds(lockedUntil.getTime() - now),
+        lockedUntil: lockedUntil.toISOString(),
+    };
+}
+
+// returns null when a login attempt may proceed, otherwise the 429/423 block to send
+async function checkLoginThrottle(client, utorid) {
+    const record = await client.loginThrottle.findUnique({ where: { utorid } });
+    if (!record) return null;
+
+    const now = Date.now();
+
+    if (record.lockedUntil) {
+        if (record.lockedUntil.getTime() > now) {
+            return lockedBlock(record.lockedUntil, now);
+        }
+        // lockout served: start over with a clean slate
+        await client.loginThrottle.delete({ where: { utorid } });
+        return null;
+    }
+
+    const delay = delayFor(record.failedCount);
+    if (delay > 0 && record.lastFailedAt) {
+        const nextAttemptAt = record.lastFailedAt.getTime() + delay;
+        if (nextAttemptAt > now) {
+            return {
+                status: 429,
+                message: 'Too many failed login attempts; try again later',
+                retryAfter: toSeconds(nextAttemptAt - now),
+            };
+        }
+    }
+
+    return null;
+}
+
+// returns the lockout block if this failure tipped the account over the threshold
+async function recordLoginFailure(client, utorid) {
+    const now = new Date();
+    const record = await client.loginThrottle.upsert({
+        where: { utorid },
+        create: { utorid, failedCount: 1, lastFailedAt: now },
+        update: { failedCount: { increment: 1 }, lastFailedAt: now },
+    });
+
+    if (record.failedCount < LOCKOUT_THRESHOLD) return null;
+
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    await client.loginThrottle.update({
+        where: { utorid },
+        data: { lockedUntil },
+    });
+    return lockedBlock(lockedUntil, now.getTime());
+}
+
+async function clearLoginFailures(client, utorid) {
+    const result = await client.loginThrottle.deleteMany({ where: { utorid } });
+    return result.count > 0;
+}
+
+function sendThrottleBlock(res, block) {
+    res.set('Retry-After', String(block.retryAfter));
+    const body = { error: block.message, retryAfter: block.retryAfter };
+    if (block.lockedUntil) body.lockedUntil = block.lockedUntil;
+    return res.status(block.status).json(body);
+}
+
+module.exports = { checkLoginThrottle, recordLoginFailure, clearLoginFailures, sendThrottleBlock };
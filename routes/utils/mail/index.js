@@ -0,0 +1,106 @@
+/*
+ * Outbound email for activation and password reset tokens.
+ *
+ * Configuration (environment):
+ *   MAIL_TRANSPORT      smtp | file | memory; unset disables delivery
+ *   MAIL_FROM           sender address
+ *   MAIL_DIR            output directory for the file transport (default: ./mail)
+ *   MAIL_LINK_BASE_URL  frontend URL used to build links in emails
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   MAIL_EXPOSE_TOKENS  'true' keeps returning raw tokens in API responses even with delivery on
+ */
+const path = require('path');
+const { createSmtpTransport, createFileTransport, createMemoryTransport } = require('./transports');
+const { activationEmail, passwordResetEmail } = require('./templates');
+
+let transport;  // undefined until first use, null when delivery is disabled
+
+function transportFromEnv() {
+    switch (process.env.MAIL_TRANSPORT) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+            });
+        case 'file':
+            return createFileTransport({
+                dir: process.env.MAIL_DIR || path.join(__dirname, '../../../mail'),
+            });
+        case 'memory':
+            return createMemoryTransport();
+        case undefined:
+        case '':
+            return null;
+        default:
+            throw new Error(`unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+    }
+}
+
+function getTransport() {
+    if (transport === undefined) {
+        transport = transportFromEnv();
+    }
+    return transport;
+}
+
+// swap the transport at runtime (tests); pass null to disable delivery
+function setTransport(next) {
+    transport = next;
+}
+
+const isDeliveryEnabled = () => getTransport() !== null;
+
+// raw tokens only belong in API responses while nobody is emailing them
+const shouldExposeTokens = () =>
+    !isDeliveryEnabled() || process.env.MAIL_EXPOSE_TOKENS === 'true';
+
+// returns true when the message was handed to the transport
+async function deliver(to, content) {
+    const active = getTransport();
+    if (!active) return false;
+
+    try {
+        await active.send({
+            from: process.env.MAIL_FROM || 'CSSU Rewards <no-reply@cssu.ca>',
+            to,
+            ...content,
+        });
+        return true;
+    } catch (err) {
+        console.error(`mail delivery via ${active.name} failed`, err);
+        return false;
+    }
+}
+
+function sendActivationEmail(user, { resetToken, expiresAt }) {
+    return deliver(user.email, activationEmail({
+        user,
+        token: resetToken,
+        expiresAt,
+        linkBaseUrl: process.env.MAIL_LINK_BASE_URL,
+    }));
+}
+
+function sendPasswordResetEmail(user, { resetToken, expiresAt }) {
+    return deliver(user.email, passwordResetEmail({
+        user,
+        token: resetToken,
+        expiresAt,
+        linkBaseUrl: process.env.MAIL_LINK_BASE_URL,
+    }));
+}
+
+module.exports = {
+    getTransport,
+    setTransport,
+    isDeliveryEnabled,
+    shouldExposeTokens,
+    sendActivationEmail,
+    sendPasswordResetEmail,
+    createSmtpTransport,
+    createFileTransport,
+    createMemoryTransport,
+};
@@ -0,0 +1,67 @@
+// Email templates: each returns { subject, text, html }
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// with MAIL_LINK_BASE_URL set, emails carry a clickable link instead of a bare token
+function tokenLink(linkBaseUrl, pathName, token) {
+    if (!linkBaseUrl) return null;
+    return `${linkBaseUrl.replace(/\/+$/, '')}/${pathName}/${encodeURIComponent(token)}`;
+}
+
+function render({ greeting, lines, link, token, expiresAt }) {
+    const expiry = `This ${link ? 'link' : 'code'} expires at ${new Date(expiresAt).toISOString()}.`;
+    const action = link ? link : `Your code: ${token}`;
+
+    const text = [greeting, '', ...lines, '', action, '', expiry, '', '- CSSU Rewards'].join('\n');
+    const html = [
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+        link
+            ? `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`
+            : `<p>Your code: <code>${escapeHtml(token)}</code></p>`,
+        `<p>${escapeHtml(expiry)}</p>`,
+        '<p>- CSSU Rewards</p>',
+    ].join('\n');
+
+    return { text, html };
+}
+
+function activationEmail({ user, token, expiresAt, linkBaseUrl }) {
+    const link = tokenLink(linkBaseUrl, 'activate', token);
+    return {
+        subject: 'Activate your CSSU Rewards account',
+        ...render({
+            greeting: `Hi ${user.name || user.utorid},`,
+            lines: [
+                `An account was created for utorid ${user.utorid}.`,
+                'Use the code below to set your password and activate it.',
+            ],
+            link,
+            token,
+            expiresAt,
+        }),
+    };
+}
+
+function passwordResetEmail({ user, token, expiresAt, linkBaseUrl }) {
+    const link = tokenLink(linkBaseUrl, 'reset', token);
+    return {
+        subject: 'Reset your CSSU Rewards password',
+        ...render({
+            greeting: `Hi ${user.name || user.utorid},`,
+            lines: [
+                'We received a request to reset your password.',
+                'If this was not you, you can ignore this email.',
+            ],
+            link,
+            token,
+            expiresAt,
+        }),
+    };
+}
+
+module.exports = { activationEmail, passwordResetEmail };
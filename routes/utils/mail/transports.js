@@ -0,0 +1,61 @@
+// Mail transports share one interface: { name, send({ from, to, subject, text, html }) }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createSmtpTransport(options = {}) {
+    // required lazily so file/memory setups do not need SMTP configuration
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            await transporter.sendMail(message);
+        },
+    };
+}
+
+// writes one .eml file per message; handy for local development
+function createFileTransport(options = {}) {
+    const dir = options.dir;
+
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+            const contents = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                message.text,
+                '',
+            ].join('\r\n');
+            await fs.promises.writeFile(path.join(dir, fileName), contents);
+        },
+    };
+}
+
+// keeps messages in memory for assertions in tests
+function createMemoryTransport() {
+    const sent = [];
+
+    return {
+        name: 'memory',
+        sent,
+        async send(message) {
+            sent.push({ ...message, sentAt: new Date() });
+        },
+    };
+}
+
+module.exports = { createSmtpTransport, createFileTransport, createMemoryTransport };
@@ -0,0 +1,84 @@
+/*
+ * Named permissions and the roles that hold them by default.
+ *
+ * PERMISSIONS_FILE may point to a JSON file of { "permission": ["role", ...] } entries that
+ * replace the defaults below. On top of the role table, a superuser can grant or revoke a
+ * single permission for one user (UserPermission rows).
+ */
+const fs = require('fs');
+
+const ROLE_LADDER = ['regular', 'cashier', 'manager', 'superuser'];
+
+// the role itself and every role above it
+const atLeast = (role) => ROLE_LADDER.slice(ROLE_LADDER.indexOf(role));
+
+const DEFAULT_PERMISSION_ROLES = {
+    'users.create': atLeast('cashier'),
+    'users.import': atLeast('cashier'),
+    'users.view': atLeast('cashier'),
+    'users.list': atLeast('manager'),
+    'users.update': atLeast('manager'),
+    'users.promote': atLeast('manager'),
+    'users.sessions.revoke': atLeast('manager'),
+    'users.unlock': atLeast('manager'),
+    'users.permissions': atLeast('superuser'),
+    'transactions.purchase': atLeast('cashier'),
+    'transactions.process': atLeast('cashier'),
+    'transactions.scan': atLeast('cashier'),
+    'transactions.adjust': atLeast('manager'),
+    'transactions.view': atLeast('manager'),
+    'transactions.export': atLeast('manager'),
+    'transactions.flag': atLeast('manager'),
+    'transactions.refund': atLeast('manager'),
+    'transfers.reverse': atLeast('manager'),
+    'ledger.view': atLeast('manager'),
+    'points.reconcile': atLeast('manager'),
+    'points.policy': atLeast('manager'),
+    'promotions.manage': atLeast('manager'),
+    'events.manage': atLeast('manager'),
+    'events.publish': atLeast('manager'),
+    'audit.view': atLeast('superuser'),
+};
+
+function loadPermissionTable() {
+    const table = { ...DEFAULT_PERMISSION_ROLES };
+    const file = process.env.PERMISSIONS_FILE;
+    if (!file) return table;
+
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [permission, roles] of Object.entries(overrides)) {
+        if (!Array.isArray(roles) || roles.some(role => !ROLE_LADDER.includes(role))) {
+            throw new Error(`PERMISSIONS_FILE: ${permission} must map to a list of roles`);
+        }
+        table[permission] = roles;
+    }
+    return table;
+}
+
+const PERMISSION_ROLES = loadPermissionTable();
+const PERMISSIONS = Object.keys(PERMISSION_ROLES).sort();
+
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSION_ROLES, permission);
+
+const rolePermissions = (role) => PERMISSIONS.filter(permission => PERMISSION_ROLES[permission].includes(role));
+
+// overrides: [{ permission, granted }] from UserPermission
+function effectivePermissions(role, overrides = []) {
+    const permissions = new Set(rolePermissions(role));
+    for (const { permission, granted } of overrides) {
+        if (granted) permissions.add(permission);
+        else permissions.delete(permission);
+    }
+    return permissions;
+}
+
+// user must come from attachUser (req.user) or carry a permissions Set itself
+const hasPermission = (user, permission) => Boolean(user?.permissions?.has(permission));
+
+module.exports = {
+    PERMISSIONS,
+    isKnownPermission,
+    rolePermissions,
+    effectivePermissions,
+    hasPermission,
+};
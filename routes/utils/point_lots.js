@@ -0,0 +1,32 @@
+// Point lots: one per credit to a user's account, drained oldest-first by debits.
+// Called from postJournal (routes/utils/ledger.js) so lots move in step with User.points.
+
+async function createLot(client, { userId, transactionId = null, source, amount }) {
+    return client.pointLot.create({
+        data: { userId, transactionId, source, amount, remaining: amount },
+    });
+}
+
+// takes `amount` points out of the user's oldest lots; points beyond the lot total (balances
+// that predate lots) are simply not tracked
+async function consumeLots(client, userId, amount) {
+    let left = amount;
+    const lots = await client.pointLot.findMany({
+        where: { userId, remaining: { gt: 0 } },
+        orderBy: [{ earnedAt: 'asc' }, { id: 'asc' }],
+    });
+
+    for (const lot of lots) {
+        if (left <= 0) break;
+        const taken = Math.min(lot.remaining, left);
+        await client.pointLot.update({
+            where: { id: lot.id },
+            data: { remaining: lot.remaining - taken },
+        });
+        left -= taken;
+    }
+
+    return amount - left;
+}
+
+module.exports = { createLot, consumeLots };
@@ -0,0 +1,85 @@
+/*
+ * Coupon codes for promotions. A code is resolved to its promotion when a purchase is created and
+ * burned only if the stacking rules actually apply that promotion; the burn is a conditional update
+ * on `redemptions`, so a single-use code cannot be spent twice by concurrent purchases.
+ */
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// no 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_CODES_PER_REQUEST = 1000;
+
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+function generateCode(prefix = '') {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    return normalizeCode(prefix) + code;
+}
+
+// `count` codes that are unique among themselves and not taken yet
+async function generateUniqueCodes(client, count, prefix) {
+    const codes = new Set();
+    while (codes.size < count) {
+        const batch = [];
+        while (codes.size + batch.length < count) batch.push(generateCode(prefix));
+
+        const taken = await client.promotionCode.findMany({
+            where: { code: { in: batch } },
+            select: { code: true },
+        });
+        const takenCodes = new Set(taken.map(row => row.code));
+        for (const code of batch) {
+            if (!takenCodes.has(code)) codes.add(code);
+        }
+    }
+    return [...codes];
+}
+
+// looks up submitted codes; throws HttpError(400) for unknown, expired, used up or repeated ones
+async function resolveCodes(client, codes, now = new Date()) {
+    if (codes.length === 0) return [];
+
+    const rows = await client.promotionCode.findMany({ where: { code: { in: codes } } });
+    const promotionIds = new Set();
+    return codes.map(code => {
+        const row = rows.find(candidate => candidate.code === code);
+        if (!row) {
+            throw new HttpError(400, `Promotion code ${code} is invalid`);
+        }
+        if (row.expiresAt && row.expiresAt < now) {
+            throw new HttpError(400, `Promotion code ${code} has expired`);
+        }
+        if (row.redemptions >= row.maxRedemptions) {
+            throw new HttpError(400, `Promotion code ${code} has already been used`);
+        }
+        if (promotionIds.has(row.promotionId)) {
+            throw new HttpError(400, 'Only one code per promotion can be used');
+        }
+        promotionIds.add(row.promotionId);
+        return row;
+    });
+}
+
+// takes one redemption of each code; false if one was used up meanwhile
+async function burnCodes(client, codes) {
+    for (const code of codes) {
+        const burned = await client.promotionCode.updateMany({
+            where: { id: code.id, redemptions: { lt: code.maxRedemptions } },
+            data: { redemptions: { increment: 1 } },
+        });
+        if (burned.count === 0) return false;
+    }
+    return true;
+}
+
+module.exports = {
+    MAX_CODES_PER_REQUEST,
+    normalizeCode,
+    generateUniqueCodes,
+    resolveCodes,
+    burnCodes,
+};
@@ -0,0 +1,75 @@
+/*
+ * Promotion lifecycle. The stored status records the steps managers take; an approved promotion is
+ * then scheduled, active or ended depending on its window:
+ *
+ *   draft -> pending-approval -> approved (scheduled -> active -> ended)
+ *              \-> draft (sent back)
+ *   any state -> archived (instead of deleting, so transactions keep their promotions)
+ *
+ * The manager who approves must not be the one who created or submitted it. Only approved promotions apply to
+ * purchases or are shown to members, and changing the terms of a submitted or approved promotion
+ * sends it back to draft.
+ */
+const { PromotionStatus } = require('@prisma/client');
+
+const STATES = {
+    DRAFT: 'draft',
+    PENDING: 'pending-approval',
+    SCHEDULED: 'scheduled',
+    ACTIVE: 'active',
+    ENDED: 'ended',
+    ARCHIVED: 'archived',
+};
+
+// what PATCH /promotions/:promotionId/status may move a promotion to, and from where
+const TRANSITIONS = {
+    [STATES.PENDING]: { from: PromotionStatus.draft, to: PromotionStatus.pending },
+    approved: { from: PromotionStatus.pending, to: PromotionStatus.approved },
+    [STATES.DRAFT]: { from: PromotionStatus.pending, to: PromotionStatus.draft },
+};
+
+// fields that can change without another approval: limits and schedule are operational, not terms
+const OPERATIONAL_FIELDS = ['maxUsesPerUser', 'maxUses', 'budget', 'recurrence', 'endTime'];
+
+const isLive = (promotion) => promotion.status === PromotionStatus.approved;
+
+function promotionState(promotion, now = new Date()) {
+    switch (promotion.status) {
+        case PromotionStatus.draft: return STATES.DRAFT;
+        case PromotionStatus.pending: return STATES.PENDING;
+        case PromotionStatus.archived: return STATES.ARCHIVED;
+    }
+    if (promotion.startTime > now) return STATES.SCHEDULED;
+    return promotion.endTime < now ? STATES.ENDED : STATES.ACTIVE;
+}
+
+// where clause for the promotions in `state`
+function stateWhere(state, now = new Date()) {
+    switch (state) {
+        case STATES.DRAFT: return { status: PromotionStatus.draft };
+        case STATES.PENDING: return { status: PromotionStatus.pending };
+        case STATES.ARCHIVED: return { status: PromotionStatus.archived };
+        case STATES.SCHEDULED: return { status: PromotionStatus.approved, startTime: { gt: now } };
+        case STATES.ACTIVE: return { status: PromotionStatus.approved, startTime: { lte: now }, endTime: { gte: now } };
+        case STATES.ENDED: return { status: PromotionStatus.approved, endTime: { lt: now } };
+    }
+    return {};
+}
+
+// data that sends a submitted or approved promotion back to draft when its terms change
+function reapprovalData(promotion, changedFields) {
+    const termsChanged = changedFields.some(field => !OPERATIONAL_FIELDS.includes(field));
+    if (!termsChanged || (promotion.status !== PromotionStatus.pending && promotion.status !== PromotionStatus.approved)) {
+        return {};
+    }
+    return { status: PromotionStatus.draft, approvedById: null, approvedAt: null };
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    isLive,
+    promotionState,
+    stateWhere,
+    reapprovalData,
+};
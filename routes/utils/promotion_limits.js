@@ -0,0 +1,102 @@
+/*
+ * Usage limits on promotions: maxUsesPerUser, maxUses (all members together) and budget (bonus
+ * points across every transaction). usesCount and bonusIssued are claimed with conditional updates,
+ * so two concurrent purchases can never both take the last use or the last of the budget.
+ */
+const { PromotionType } = require('@prisma/client');
+
+// one-time promotions are limited to a single use whatever maxUsesPerUser says
+const perUserLimit = (promotion) =>
+    promotion.type === PromotionType.onetime ? 1 : promotion.maxUsesPerUser;
+
+// uses of a promotion that count against a member: those on purchases that were not voided
+const memberUses = (userId) => ({ transaction: { userId, voided: false } });
+
+// promotionId -> how many times the member has used it
+async function usesByUser(client, userId) {
+    const rows = await client.transactionPromotion.groupBy({
+        by: ['promotionId'],
+        where: memberUses(userId),
+        _count: { _all: true },
+    });
+    return new Map(rows.map(row => [row.promotionId, row._count._all]));
+}
+
+// whether a member who has used the promotion `used` times may use it again
+function hasUsesLeft(promotion, used) {
+    const limit = perUserLimit(promotion);
+    return limit == null || used < limit;
+}
+
+// why the member cannot use the promotion for `bonus` points right now, or null if they can
+async function usageLimitError(client, promotion, userId, bonus) {
+    const limit = perUserLimit(promotion);
+    if (limit != null) {
+        const used = await client.transactionPromotion.count({
+            where: { promotionId: promotion.id, ...memberUses(userId) },
+        });
+        if (used >= limit) {
+            return limit === 1 ? 'Promotion already used by this user' : 'Promotion usage limit reached for this user';
+        }
+    }
+    if (promotion.maxUses != null && promotion.usesCount >= promotion.maxUses) {
+        return 'Promotion has no uses left';
+    }
+    if (promotion.budget != null && promotion.bonusIssued + bonus > promotion.budget) {
+        return 'Promotion budget exhausted';
+    }
+    return null;
+}
+
+// takes a use and `bonus` points of budget for every applied promotion; false if one ran out meanwhile
+async function claimUsage(client, applied) {
+    for (const { promotion, bonus } of applied) {
+        const where = { id: promotion.id };
+        if (promotion.maxUses != null) where.usesCount = { lt: promotion.maxUses };
+        if (promotion.budget != null) where.bonusIssued = { lte: promotion.budget - bonus };
+
+        const claimed = await client.promotion.updateMany({
+            where,
+            data: { usesCount: { increment: 1 }, bonusIssued: { increment: bonus } },
+        });
+        if (claimed.count === 0) return false;
+    }
+    return true;
+}
+
+// hands `bonus` points back to the budget; `use` also returns the use and the burned code
+// (the purchase was voided)
+async function releaseUsage(client, transactionPromotion, bonus, { use = false } = {}) {
+    const { transactionId, promotionId, codeId } = transactionPromotion;
+    if (use && codeId) {
+        await client.promotionCode.update({
+            where: { id: codeId },
+            data: { redemptions: { decrement: 1 } },
+        });
+    }
+    await client.promotion.update({
+        where: { id: promotionId },
+        data: { bonusIssued: { decrement: bonus }, ...(use ? { usesCount: { decrement: 1 } } : {}) },
+    });
+    await client.transactionPromotion.update({
+        where: { transactionId_promotionId: { transactionId, promotionId } },
+        data: { bonus: { decrement: bonus } },
+    });
+}
+
+// live counters for the manager view
+const usageSummary = (promotion) => ({
+    usesCount: promotion.usesCount,
+    bonusIssued: promotion.bonusIssued,
+    remainingUses: promotion.maxUses == null ? null : Math.max(0, promotion.maxUses - promotion.usesCount),
+    remainingBudget: promotion.budget == null ? null : Math.max(0, promotion.budget - promotion.bonusIssued),
+});
+
+module.exports = {
+    usesByUser,
+    hasUsesLeft,
+    usageLimitError,
+    claimUsage,
+    releaseUsage,
+    usageSummary,
+};
@@ -0,0 +1,110 @@
+/*
+ * Decides which of a purchase's promotions apply. Every candidate has already passed the
+ * eligibility checks (active, minimum spending, one-time use); this only resolves how they combine:
+ *
+ *  1. best_of_group: within each group only the biggest bonus survives.
+ *  2. The rest are taken by priority (highest first), then bonus, then id. An exclusive promotion
+ *     applies only if nothing was taken before it, and once one applies nothing else does.
+ *
+ * Each bonus is capped by the promotion's maxBonus. Rejected promotions are not attached to the
+ * transaction, so a rejected one-time promotion stays available.
+ */
+const { PromotionStacking } = require('@prisma/client');
+
+// API spelling of the stacking modes, like 'one-time' for PromotionType.onetime
+const STACKING_VALUES = {
+    stackable: PromotionStacking.stackable,
+    exclusive: PromotionStacking.exclusive,
+    'best-of-group': PromotionStacking.best_of_group,
+};
+
+const toStacking = (value) => STACKING_VALUES[value];
+const fromStacking = (stacking) =>
+    Object.keys(STACKING_VALUES).find(key => STACKING_VALUES[key] === stacking) ?? stacking;
+
+// rate promotions are worth nothing without a purchase amount (adjustments)
+function promotionBonus(promotion, spentCents) {
+    let bonus = promotion.points ?? 0;
+    if (promotion.rate != null && spentCents !== null) {
+        bonus += Math.round(spentCents * promotion.rate);
+    }
+    if (promotion.maxBonus != null) {
+        bonus = Math.min(bonus, promotion.maxBonus);
+    }
+    return bonus;
+}
+
+const byPrecedence = (a, b) =>
+    (b.promotion.priority ?? 0) - (a.promotion.priority ?? 0) ||
+    b.bonus - a.bonus ||
+    a.promotion.id - b.promotion.id;
+
+// returns { applied: [{ promotion, bonus }], rejected: [{ promotion, reason }], extraPoints }
+function resolvePromotions(promotions, spentCents) {
+    const candidates = promotions
+        .map(promotion => ({ promotion, bonus: promotionBonus(promotion, spentCents) }));
+    const rejected = [];
+
+    const bestInGroup = new Map();
+    for (const candidate of candidates) {
+        const { stacking, group } = candidate.promotion;
+        if (stacking !== PromotionStacking.best_of_group) continue;
+        const best = bestInGroup.get(group);
+        if (!best || candidate.bonus > best.bonus ||
+                (candidate.bonus === best.bonus && byPrecedence(candidate, best) < 0)) {
+            bestInGroup.set(group, candidate);
+        }
+    }
+
+    const contenders = [];
+    for (const candidate of candidates) {
+        const { stacking, group } = candidate.promotion;
+        const best = bestInGroup.get(group);
+        if (stacking === PromotionStacking.best_of_group && best !== candidate) {
+            rejected.push({ promotion: candidate.promotion, reason: `promotion ${best.promotion.id} gives a bigger bonus in group "${group}"` });
+        } else {
+            contenders.push(candidate);
+        }
+    }
+
+    const applied = [];
+    let exclusive = null;
+    for (const candidate of contenders.sort(byPrecedence)) {
+        const { promotion } = candidate;
+        if (exclusive) {
+            rejected.push({ promotion, reason: `exclusive promotion ${exclusive.promotion.id} applied` });
+        } else if (promotion.stacking === PromotionStacking.exclusive && applied.length > 0) {
+            rejected.push({ promotion, reason: `exclusive, but promotion ${applied[0].promotion.id} takes precedence` });
+        } else {
+            applied.push(candidate);
+            if (promotion.stacking === PromotionStacking.exclusive) exclusive = candidate;
+        }
+    }
+
+    const extraPoints = applied.reduce((total, { bonus }) => total + bonus, 0);
+    return { applied, rejected, extraPoints };
+}
+
+// response shape of the engine's decision; `automatic` marks promotions nobody asked for and
+// `code` the coupon code a promotion was requested with
+const describeResolution = ({ applied, rejected, automaticIds = [] }) => {
+    const describe = ({ promotion, code }) => ({
+        id: promotion.id,
+        name: promotion.name,
+        automatic: automaticIds.includes(promotion.id),
+        ...(code ? { code: code.code } : {}),
+    });
+    return {
+        appliedPromotions: applied.map(entry => ({ ...describe(entry), bonus: entry.bonus })),
+        rejectedPromotions: rejected.map(entry => ({ ...describe(entry), reason: entry.reason })),
+    };
+};
+
+module.exports = {
+    STACKING_VALUES,
+    toStacking,
+    fromStacking,
+    promotionBonus,
+    resolvePromotions,
+    describeResolution,
+};
@@ -0,0 +1,100 @@
+/*
+ * Performance numbers for one promotion, computed from TransactionPromotion. Voided purchases are left
+ * out and partial refunds are taken off the spend. The baseline is every purchase without any
+ * promotion made over the same period, so the average baskets can be compared directly.
+ */
+const { TransactionType } = require('@prisma/client');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// money is added up in cents so the totals do not drift
+const netCents = (transaction) =>
+    transaction.spent == null ? 0 : Math.round((transaction.spent - transaction.refundedSpent) * 100);
+const averageOf = (cents, count) => (count > 0 ? Math.round(cents / count) / 100 : null);
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+function emptyDay(date) {
+    return { date, transactions: 0, users: new Set(), spendCents: 0, bonusPoints: 0 };
+}
+
+async function promotionStats(client, promotion, now = new Date()) {
+    const start = promotion.startTime;
+    const end = new Date(Math.max(start, Math.min(promotion.endTime, now)));
+
+    const [uses, baseline] = await Promise.all([
+        client.transactionPromotion.findMany({
+            where: { promotionId: promotion.id, transaction: { voided: false } },
+            select: {
+                bonus: true,
+                transaction: { select: { type: true, userId: true, spent: true, refundedSpent: true, createdAt: true } },
+            },
+        }),
+        client.transaction.aggregate({
+            where: {
+                type: TransactionType.purchase,
+                voided: false,
+                createdAt: { gte: start, lte: end },
+                promotions: { none: {} },
+            },
+            _count: true,
+            _sum: { spent: true, refundedSpent: true },
+        }),
+    ]);
+
+    // one entry per day of the period, so days without uses show up as zeros
+    const days = new Map();
+    for (let time = Date.parse(dayOf(start)); time <= end.getTime(); time += DAY_MS) {
+        const date = dayOf(new Date(time));
+        days.set(date, emptyDay(date));
+    }
+
+    const users = new Set();
+    let purchases = 0;
+    let spendCents = 0;
+    let bonusPoints = 0;
+    for (const { bonus, transaction } of uses) {
+        const date = dayOf(transaction.createdAt);
+        if (!days.has(date)) days.set(date, emptyDay(date));
+        const day = days.get(date);
+
+        users.add(transaction.userId);
+        day.users.add(transaction.userId);
+        day.transactions += 1;
+        day.spendCents += netCents(transaction);
+        day.bonusPoints += bonus;
+
+        if (transaction.type === TransactionType.purchase) purchases += 1;
+        spendCents += netCents(transaction);
+        bonusPoints += bonus;
+    }
+
+    const baselineCents = Math.round(((baseline._sum.spent ?? 0) - (baseline._sum.refundedSpent ?? 0)) * 100);
+    const averageBasket = averageOf(spendCents, purchases);
+    const baselineBasket = averageOf(baselineCents, baseline._count);
+
+    return {
+        promotionId: promotion.id,
+        period: { start, end },
+        transactions: uses.length,
+        uniqueUsers: users.size,
+        totalSpend: spendCents / 100,
+        bonusPoints,
+        averageBasket,
+        baseline: { transactions: baseline._count, averageBasket: baselineBasket },
+        // relative difference of the average baskets, e.g. 0.25 for baskets a quarter bigger
+        basketLift: averageBasket !== null && baselineBasket ? Math.round((averageBasket / baselineBasket - 1) * 1000) / 1000 : null,
+        daily: [...days.values()]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(day => ({
+                date: day.date,
+                transactions: day.transactions,
+                uniqueUsers: day.users.size,
+                spend: day.spendCents / 100,
+                bonusPoints: day.bonusPoints,
+            })),
+    };
+}
+
+module.exports = {
+    promotionStats,
+};
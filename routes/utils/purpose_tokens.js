@@ -0,0 +1,33 @@
+// Short-lived signed tokens for a single purpose (e.g. a pending 2FA login).
+// Each purpose gets its own key derived from JWT_SECRET, so these can never pass as access tokens.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+function keyFor(purpose) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(`purpose:${purpose}`).digest('hex');
+}
+
+function signPurposeToken(purpose, payload, expiresInSeconds) {
+    const token = jwt.sign({ ...payload, purpose }, keyFor(purpose), {
+        algorithm: 'HS256',
+        expiresIn: expiresInSeconds,
+    });
+    return { token, expiresAt: new Date(Date.now() + expiresInSeconds * 1000) };
+}
+
+// returns { payload } on success or { error: 'expired' | 'invalid' }
+function verifyPurposeToken(purpose, token) {
+    if (typeof token !== 'string' || token.length === 0) {
+        return { error: 'invalid' };
+    }
+
+    try {
+        const payload = jwt.verify(token, keyFor(purpose), { algorithms: ['HS256'] });
+        if (payload.purpose !== purpose) return { error: 'invalid' };
+        return { payload };
+    } catch (err) {
+        return { error: err.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+    }
+}
+
+module.exports = { signPurposeToken, verifyPurposeToken };
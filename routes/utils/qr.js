@@ -0,0 +1,48 @@
+// QR codes for the cashier's scanner. Each code encodes a signed 'qr' purpose token rather than a
+// bare utorid or transaction id, so an edited code fails verification and an old screenshot expires.
+const QRCode = require('qrcode');
+const { signPurposeToken, verifyPurposeToken } = require('./purpose_tokens');
+
+const QR_PURPOSE = 'qr';
+const QR_KINDS = { USER: 'user', REDEMPTION: 'redemption' };
+const QR_FORMATS = ['png', 'svg', 'json'];
+
+const qrTtlSeconds = () => parseInt(process.env.QR_TOKEN_TTL_SECONDS) || 5 * 60;
+
+// identity code for the member's account
+const signUserQr = (user) =>
+    signPurposeToken(QR_PURPOSE, { kind: QR_KINDS.USER, uid: user.id, utorid: user.utorid }, qrTtlSeconds());
+
+// code for one pending redemption
+const signRedemptionQr = (transaction) =>
+    signPurposeToken(QR_PURPOSE, { kind: QR_KINDS.REDEMPTION, uid: transaction.userId, tid: transaction.id }, qrTtlSeconds());
+
+// returns { payload } or { error: 'expired' | 'invalid' }
+function verifyQr(token) {
+    const result = verifyPurposeToken(QR_PURPOSE, token);
+    if (result.payload && !Object.values(QR_KINDS).includes(result.payload.kind)) {
+        return { error: 'invalid' };
+    }
+    return result;
+}
+
+// writes the signed token as a PNG or SVG image, or as JSON for clients that draw their own code
+async function sendQr(res, { token, expiresAt }, format = 'png') {
+    res.set('X-QR-Expires-At', expiresAt.toISOString());
+    if (format === 'json') {
+        return res.status(200).json({ payload: token, expiresAt });
+    }
+    if (format === 'svg') {
+        return res.status(200).type('image/svg+xml').send(await QRCode.toString(token, { type: 'svg', margin: 2 }));
+    }
+    return res.status(200).type('png').send(await QRCode.toBuffer(token, { type: 'png', margin: 2, width: 256 }));
+}
+
+module.exports = {
+    QR_KINDS,
+    QR_FORMATS,
+    signUserQr,
+    signRedemptionQr,
+    verifyQr,
+    sendQr,
+};
@@ -0,0 +1,165 @@
+/*
+ * Recurring promotions. A promotion's `recurrence` is a JSON rule that narrows its startTime/endTime
+ * window down to the times it actually runs:
+ *
+ *   { frequency: 'daily' | 'weekly', daysOfWeek, windows: [{ start, end }], exceptDates, timezone }
+ *
+ * daysOfWeek ('mon'..'sun') is required for weekly rules. windows are 'HH:MM' times of day in the
+ * rule's timezone (UTC by default); without them the promotion runs all day. A window cannot cross
+ * midnight, so a 22:00-02:00 campaign is written as two windows. exceptDates ('YYYY-MM-DD') are
+ * skipped entirely.
+ */
+const { z } = require('zod');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const minutesOf = (time) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3), 10);
+
+function isTimeZone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const recurrenceSchema = z.object({
+    frequency: z.enum(['daily', 'weekly']),
+    daysOfWeek: z.array(z.enum(DAYS)).nonempty().optional(),
+    windows: z.array(z.object({
+        start: z.string().regex(TIME_PATTERN, 'must be HH:MM'),
+        end: z.string().regex(TIME_PATTERN, 'must be HH:MM'),
+    }).strict().refine(
+        (window) => minutesOf(window.start) < minutesOf(window.end),
+        { message: 'start must be before end' }
+    )).nonempty().optional(),
+    exceptDates: z.array(z.string().regex(DATE_PATTERN, 'must be YYYY-MM-DD')).optional(),
+    timezone: z.string().refine(isTimeZone, { message: 'unknown time zone' }).optional(),
+}).strict().refine(
+    (rule) => (rule.frequency === 'weekly') === (rule.daysOfWeek !== undefined),
+    { message: 'daysOfWeek is required for weekly recurrences and only allowed for them' }
+);
+
+// validator-style check of a request's recurrence (null clears it); returns an error string or null
+function validateRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null) return null;
+    const result = recurrenceSchema.safeParse(recurrence);
+    if (result.success) return null;
+    const issue = result.error.issues[0];
+    return `recurrence${issue.path.length ? '.' + issue.path.join('.') : ''}: ${issue.message}`;
+}
+
+const parseRecurrence = (promotion) => (promotion.recurrence ? JSON.parse(promotion.recurrence) : null);
+
+const formatters = new Map();
+
+// calendar date, weekday and minute of day of `at` in `timezone`
+function localParts(at, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+        }));
+    }
+    const parts = Object.fromEntries(
+        formatters.get(timezone).formatToParts(at).map(part => [part.type, part.value])
+    );
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase(),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+}
+
+// the instant at which `date` reaches `minutes` past midnight in `timezone`
+function zonedInstant(date, minutes, timezone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = (instant) => {
+        const local = localParts(new Date(instant), timezone);
+        const [y, m, d] = local.date.split('-').map(Number);
+        return Date.UTC(y, m - 1, d, 0, local.minutes) - Math.floor(instant / 60000) * 60000;
+    };
+    // the second pass corrects for a DST change between the guess and the answer
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess));
+}
+
+const nextDate = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+const runsOn = (rule, local) =>
+    !(rule.exceptDates ?? []).includes(local.date) &&
+    (rule.frequency === 'daily' || rule.daysOfWeek.includes(local.weekday));
+
+const windowsOf = (rule) =>
+    (rule.windows ?? [{ start: '00:00', end: '24:00' }])
+        .map(window => ({ start: minutesOf(window.start), end: minutesOf(window.end) }))
+        .sort((a, b) => a.start - b.start);
+
+// whether the recurrence rule (not the startTime/endTime window) allows `at`
+function matchesRecurrence(promotion, at) {
+    const rule = parseRecurrence(promotion);
+    if (!rule) return true;
+
+    const local = localParts(at, rule.timezone ?? 'UTC');
+    return runsOn(rule, local) &&
+        windowsOf(rule).some(window => local.minutes >= window.start && local.minutes < window.end);
+}
+
+const isActiveAt = (promotion, at) =>
+    promotion.startTime <= at && promotion.endTime >= at && matchesRecurrence(promotion, at);
+
+// the first { start, end } the promotion runs that ends after `from`, or null if it never runs again
+function nextOccurrence(promotion, from) {
+    const { startTime, endTime } = promotion;
+    if (endTime <= from) return null;
+
+    const rule = parseRecurrence(promotion);
+    if (!rule) return { start: startTime, end: endTime };
+
+    const timezone = rule.timezone ?? 'UTC';
+    const windows = windowsOf(rule);
+    let date = localParts(from > startTime ? from : startTime, timezone).date;
+    while (zonedInstant(date, 0, timezone) <= endTime) {
+        const day = { date, weekday: DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] };
+        if (runsOn(rule, day)) {
+            for (const window of windows) {
+                const start = new Date(Math.max(zonedInstant(date, window.start, timezone), startTime));
+                const end = new Date(Math.min(zonedInstant(date, window.end, timezone), endTime));
+                if (start < end && end > from) return { start, end };
+            }
+        }
+        date = nextDate(date);
+    }
+    return null;
+}
+
+// started: the first occurrence has begun; ended: no occurrence is left
+function startedBy(promotion, now) {
+    const first = nextOccurrence(promotion, promotion.startTime);
+    return first !== null && first.start <= now;
+}
+
+const endedBy = (promotion, now) => nextOccurrence(promotion, now) === null;
+
+module.exports = {
+    validateRecurrence,
+    parseRecurrence,
+    matchesRecurrence,
+    isActiveAt,
+    nextOccurrence,
+    startedBy,
+    endedBy,
+};
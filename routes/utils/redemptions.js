@@ -0,0 +1,67 @@
+// Redemption request lifecycle: pending until a cashier processes it, unless the member cancels it
+// or it sits unprocessed for longer than the policy allows. Pending redemptions reserve their points:
+// the balance only drops when a cashier processes one, but the points can no longer be spent elsewhere.
+const { TransactionType, TransactionStatus } = require('@prisma/client');
+const { getSetting, updateSetting } = require('./settings');
+
+const REDEMPTION_POLICY_KEY = 'redemptions.expiry';
+
+const DEFAULT_REDEMPTION_POLICY = {
+    enabled: true,
+    days: 30,
+};
+
+const getRedemptionPolicy = (client) => getSetting(client, REDEMPTION_POLICY_KEY, DEFAULT_REDEMPTION_POLICY);
+
+const updateRedemptionPolicy = (client, changes, updatedById) =>
+    updateSetting(client, REDEMPTION_POLICY_KEY, DEFAULT_REDEMPTION_POLICY, changes, updatedById);
+
+// redemptions created before status existed have none; processedById tells them apart
+const redemptionStatus = (transaction) =>
+    transaction.status ?? (transaction.processedById ? TransactionStatus.processed : TransactionStatus.pending);
+
+// where-clause for redemptions that can still be processed or cancelled
+const openRedemption = {
+    type: TransactionType.redemption,
+    processedById: null,
+    OR: [{ status: TransactionStatus.pending }, { status: null }],
+};
+
+// points held by the user's pending redemptions
+async function reservedPoints(client, userId) {
+    const result = await client.transaction.aggregate({
+        where: { ...openRedemption, userId },
+        _sum: { amount: true },
+    });
+    return -(result._sum.amount ?? 0);
+}
+
+// { points, reserved, available } for a user row that includes `points`
+async function pointsBalance(client, user) {
+    const reserved = await reservedPoints(client, user.id);
+    return { points: user.points, reserved, available: user.points - reserved };
+}
+
+// scheduled job: returns the number of redemptions that expired
+async function expireStaleRedemptions(client, now = new Date()) {
+    const policy = await getRedemptionPolicy(client);
+    if (!policy.enabled) return 0;
+
+    const cutoff = new Date(now.getTime() - policy.days * 24 * 60 * 60 * 1000);
+    const result = await client.transaction.updateMany({
+        where: { ...openRedemption, createdAt: { lt: cutoff } },
+        data: { status: TransactionStatus.expired },
+    });
+    return result.count;
+}
+
+module.exports = {
+    DEFAULT_REDEMPTION_POLICY,
+    getRedemptionPolicy,
+    updateRedemptionPolicy,
+    redemptionStatus,
+    openRedemption,
+    reservedPoints,
+    pointsBalance,
+    expireStaleRedemptions,
+};
@@ -0,0 +1,38 @@
+// In-process interval jobs. Started from index.js when it runs as the server (not under tests).
+// A run that is still going when its next tick comes around is skipped rather than overlapped.
+
+const jobs = [];
+
+function registerJob(name, intervalMs, run) {
+    jobs.push({ name, intervalMs, run, timer: null, running: false });
+}
+
+async function runJob(job) {
+    if (job.running) return;
+    job.running = true;
+    try {
+        const result = await job.run();
+        if (result !== undefined) console.log(`job ${job.name}:`, result);
+    } catch (err) {
+        console.error(`job ${job.name} failed`, err);
+    } finally {
+        job.running = false;
+    }
+}
+
+function startScheduler() {
+    for (const job of jobs) {
+        if (job.timer) continue;
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        job.timer.unref(); // never keep the process alive on its own
+    }
+}
+
+function stopScheduler() {
+    for (const job of jobs) {
+        clearInterval(job.timer);
+        job.timer = null;
+    }
+}
+
+module.exports = { registerJob, startScheduler, stopScheduler, runJob };
@@ -0,0 +1,98 @@
+/*
+ * Promotion targeting. A promotion's `segment` is a JSON object of criteria that a member has to
+ * meet all of; a promotion without one is open to everyone:
+ *
+ *   { roles, verified, birthdayMonths, minPoints, maxPoints, eventIds }
+ *
+ * eventIds matches members who are confirmed guests of at least one of those events. An explicit
+ * utorid list lives in PromotionSegmentUser; when a promotion has one, the member must be on it too.
+ */
+const { z } = require('zod');
+const { RoleType } = require('@prisma/client');
+
+const segmentSchema = z.object({
+    roles: z.array(z.nativeEnum(RoleType)).nonempty().optional(),
+    verified: z.boolean().optional(),
+    birthdayMonths: z.array(z.number().int().min(1).max(12)).nonempty().optional(),
+    minPoints: z.number().int().optional(),
+    maxPoints: z.number().int().optional(),
+    eventIds: z.array(z.number().int().positive()).nonempty().optional(),
+    utorids: z.array(z.string().min(1)).nonempty().optional(),
+}).strict().refine(
+    (segment) => segment.minPoints === undefined || segment.maxPoints === undefined || segment.minPoints <= segment.maxPoints,
+    { message: 'minPoints must not exceed maxPoints' }
+);
+
+// validator-style check of a request's segment (null clears it); returns an error string or null
+function validateSegment(segment) {
+    if (segment === undefined || segment === null) return null;
+    const result = segmentSchema.safeParse(segment);
+    if (result.success) return null;
+    const issue = result.error.issues[0];
+    return `segment${issue.path.length ? '.' + issue.path.join('.') : ''}: ${issue.message}`;
+}
+
+// splits a validated segment into the stored criteria (JSON or null) and the utorid list
+function splitSegment(segment) {
+    if (!segment) return { criteria: null, utorids: [] };
+    const { utorids = [], ...rest } = segment;
+    const criteria = Object.keys(rest).length > 0 ? JSON.stringify(rest) : null;
+    return { criteria, utorids: [...new Set(utorids.map(utorid => utorid.trim().toLowerCase()))] };
+}
+
+// the segment as managers see it, with the utorid list when it was loaded
+function describeSegment(promotion) {
+    const criteria = promotion.segment ? JSON.parse(promotion.segment) : {};
+    if (promotion.segmentUsers?.length && promotion.segmentUsers[0].user) {
+        criteria.utorids = promotion.segmentUsers.map(entry => entry.user.utorid).sort();
+    }
+    return Object.keys(criteria).length > 0 ? criteria : null;
+}
+
+// include for promotion queries so matchesSegment can tell whether the member is on the list
+const segmentInclude = (userId) => ({
+    segmentUsers: { where: { userId }, select: { userId: true } },
+    _count: { select: { segmentUsers: true } },
+});
+
+// the member facts that criteria look at
+async function loadMember(client, userId) {
+    const [user, guests] = await Promise.all([
+        client.user.findUnique({
+            where: { id: userId },
+            select: { id: true, role: true, verified: true, birthday: true, points: true },
+        }),
+        client.eventGuest.findMany({
+            where: { userId, confirmed: true },
+            select: { eventId: true },
+        }),
+    ]);
+    return user && { ...user, eventIds: guests.map(guest => guest.eventId) };
+}
+
+// `promotion` must have been loaded with segmentInclude(member.id)
+function matchesSegment(promotion, member) {
+    if (promotion._count?.segmentUsers > 0 && promotion.segmentUsers.length === 0) {
+        return false;
+    }
+    if (!promotion.segment) return true;
+
+    const segment = JSON.parse(promotion.segment);
+    const birthMonth = member.birthday ? parseInt(member.birthday.slice(5, 7), 10) : null;
+
+    return (!segment.roles || segment.roles.includes(member.role)) &&
+        (segment.verified === undefined || segment.verified === member.verified) &&
+        (!segment.birthdayMonths || segment.birthdayMonths.includes(birthMonth)) &&
+        (segment.minPoints === undefined || member.points >= segment.minPoints) &&
+        (segment.maxPoints === undefined || member.points <= segment.maxPoints) &&
+        (!segment.eventIds || segment.eventIds.some(eventId => member.eventIds.includes(eventId)));
+}
+
+module.exports = {
+    validateSegment,
+    splitSegment,
+    describeSegment,
+    segmentInclude,
+    loadMember,
+    matchesSegment,
+};
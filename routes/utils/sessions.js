@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('./errors');
+
+const ACCESS_TOKEN_EXPIRY_MS = 60 * 60 * 1000;            // 1 hour
+const REFRESH_TOKEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;  // 7 days, renewed on every rotation
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;      // hard cap on a refresh chain
+
+// only the sha256 of a refresh token is stored, so a leaked database cannot be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, session) {
+    const expiresAt = new Date(Date.now() + ACCESS_TOKEN_EXPIRY_MS);
+    const token = jwt.sign(
+        { sub: user.id, role: user.role, sid: session.id, mfa: session.mfa },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor(ACCESS_TOKEN_EXPIRY_MS / 1000) }
+    );
+    return { token, expiresAt };
+}
+
+async function createRefreshToken(client, session) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Math.min(
+        Date.now() + REFRESH_TOKEN_EXPIRY_MS,
+        session.expiresAt.getTime()
+    ));
+
+    await client.refreshToken.create({
+        data: { sessionId: session.id, tokenHash: hashToken(refreshToken), expiresAt },
+    });
+
+    return { refreshToken, refreshExpiresAt: expiresAt };
+}
+
+async function buildTokenResponse(client, user, session) {
+    const { token, expiresAt } = signAccessToken(user, session);
+    const { refreshToken, refreshExpiresAt } = await createRefreshToken(client, session);
+
+    return {
+        token,
+        expiresAt: expiresAt.toISOString(),
+        refreshToken,
+        refreshExpiresAt: refreshExpiresAt.toISOString(),
+    };
+}
+
+// start a new session for a user that just proved their credentials
+async function issueSession(client, user, options = {}) {
+    const { ip = null, userAgent = null, mfa = false } = options;
+
+    const session = await client.session.create({
+        data: {
+            id: uuidv4(),
+            userId: user.id,
+            expiresAt: new Date(Date.now() + SESSION_MAX_AGE_MS),
+            mfa,
+            ip,
+            userAgent,
+        },
+    });
+
+    return buildTokenResponse(client, user, session);
+}
+
+async function revokeSession(client, sessionId, reason) {
+    const result = await client.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.count;
+}
+
+// revokes every open session and invalidates access tokens that predate the call
+async function revokeAllSessions(client, userId, reason) {
+    const now = new Date();
+
+    const result = await client.session.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: now, revokedReason: reason },
+    });
+
+    await client.user.update({
+        where: { id: userId },
+        data: { sessionsRevokedAt: now },
+    });
+
+    return result.count;
+}
+
+// exchange a refresh token for a new access/refresh pair; each refresh token works once
+async function rotateRefreshToken(client, refreshToken) {
+    const stored = await client.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: { session: { include: { user: true } } },
+    });
+
+    if (!stored) {
+        throw new HttpError(401, 'Invalid refresh token');
+    }
+
+    const { session } = stored;
+
+    if (stored.rotatedAt) {
+        // an already-exchanged token came back: assume it was stolen and kill the whole chain
+        await revokeSession(client, session.id, 'reuse');
+        throw new HttpError(401, 'Refresh token reuse detected; session revoked');
+    }
+
+    const now = new Date();
+    if (session.revokedAt || session.expiresAt <= now || stored.expiresAt <= now) {
+        throw new HttpError(401, 'Session expired or revoked');
+    }
+
+    // guard against two concurrent exchanges of the same token
+    const claimed = await client.refreshToken.updateMany({
+        where: { id: stored.id, rotatedAt: null },
+        data: { rotatedAt: now },
+    });
+
+    if (claimed.count === 0) {
+        await revokeSession(client, session.id, 'reuse');
+        throw new HttpError(401, 'Refresh token reuse detected; session revoked');
+    }
+
+    await client.session.update({
+        where: { id: session.id },
+        data: { lastUsedAt: now },
+    });
+
+    return buildTokenResponse(client, session.user, session);
+}
+
+// returns an error message when the token behind req.auth must no longer be honoured
+async function findSessionError(client, auth, user) {
+    if (auth?.sid) {
+        const session = await client.session.findUnique({
+            where: { id: String(auth.sid) },
+            select: { userId: true, revokedAt: true, expiresAt: true },
+        });
+
+        if (!session || session.userId !== user.id) return 'Invalid session';
+        if (session.revokedAt || session.expiresAt <= new Date()) return 'Session revoked';
+        return null;
+    }
+
+    // tokens without a session id can only be cut off by a revoke-all
+    if (user.sessionsRevokedAt && typeof auth?.iat === 'number') {
+        if (auth.iat <= Math.floor(user.sessionsRevokedAt.getTime() / 1000)) {
+            return 'Session revoked';
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    issueSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    findSessionError,
+};
@@ -0,0 +1,27 @@
+// Runtime settings kept in the Setting table as JSON. Every key has code-side defaults, so a
+// missing or partial row still yields a complete value.
+
+async function getSetting(client, key, defaults) {
+    const row = await client.setting.findUnique({ where: { key } });
+    if (!row) return { ...defaults };
+
+    try {
+        return { ...defaults, ...JSON.parse(row.value) };
+    } catch (err) {
+        console.error(`setting ${key} is not valid JSON; using defaults`, err);
+        return { ...defaults };
+    }
+}
+
+// merges `changes` into the stored value and returns the full result
+async function updateSetting(client, key, defaults, changes, updatedById = null) {
+    const value = { ...(await getSetting(client, key, defaults)), ...changes };
+    await client.setting.upsert({
+        where: { key },
+        create: { key, value: JSON.stringify(value), updatedById },
+        update: { value: JSON.stringify(value), updatedById },
+    });
+    return value;
+}
+
+module.exports = { getSetting, updateSetting };
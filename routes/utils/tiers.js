@@ -0,0 +1,164 @@
+/*
+ * Membership tiers. Each member's tier follows one measure, chosen by the policy's `basis`:
+ * lifetimePoints (points ever earned from purchases, events and adjustments, net of refunds) or
+ * spend12Months (dollars spent over the last 12 months, net of refunds). The member gets the highest
+ * tier whose threshold they reach; the tier's multiplier scales the base points of their purchases.
+ *
+ * Tiers are stored on the user and only move when recalculateTiers runs (scheduled in routes/jobs.js),
+ * so a member keeps their tier between runs. With `downgrades` off tiers only ever go up.
+ */
+const { z } = require('zod');
+const { TransactionType } = require('@prisma/client');
+const { getSetting, updateSetting } = require('./settings');
+
+const TIER_POLICY_KEY = 'points.tiers';
+const TIER_BASES = ['lifetimePoints', 'spend12Months'];
+
+// transactions whose points count as earned; redemptions, transfers and expirations do not
+const EARNING_TYPES = [TransactionType.purchase, TransactionType.event, TransactionType.adjustment, TransactionType.refund];
+
+const DEFAULT_TIER_POLICY = {
+    enabled: false,
+    basis: 'lifetimePoints',
+    downgrades: true,
+    tiers: [
+        { name: 'Bronze', threshold: 0, multiplier: 1 },
+        { name: 'Silver', threshold: 1000, multiplier: 1.25 },
+        { name: 'Gold', threshold: 5000, multiplier: 1.5 },
+    ],
+};
+
+const tiersSchema = z.array(z.object({
+    name: z.string().trim().min(1),
+    threshold: z.number().min(0),
+    multiplier: z.number().positive(),
+}).strict()).nonempty().refine(
+    (tiers) => new Set(tiers.map(tier => tier.name)).size === tiers.length,
+    { message: 'tier names must be unique' }
+).refine(
+    (tiers) => new Set(tiers.map(tier => tier.threshold)).size === tiers.length,
+    { message: 'tier thresholds must be unique' }
+);
+
+// validator-style check of a tier list; returns an error string or null
+function validateTiers(tiers) {
+    if (tiers === undefined) return null;
+    const result = tiersSchema.safeParse(tiers);
+    if (result.success) return null;
+    const issue = result.error.issues[0];
+    return `tiers${issue.path.length ? '.' + issue.path.join('.') : ''}: ${issue.message}`;
+}
+
+const sortTiers = (tiers) => [...tiers].sort((a, b) => a.threshold - b.threshold);
+
+const getTierPolicy = (client) => getSetting(client, TIER_POLICY_KEY, DEFAULT_TIER_POLICY);
+
+const updateTierPolicy = (client, changes, updatedById) =>
+    updateSetting(client, TIER_POLICY_KEY, DEFAULT_TIER_POLICY,
+        changes.tiers ? { ...changes, tiers: sortTiers(changes.tiers) } : changes, updatedById);
+
+// highest tier whose threshold `value` reaches, or null below the lowest one
+const tierFor = (policy, value) =>
+    sortTiers(policy.tiers).filter(tier => value >= tier.threshold).pop() ?? null;
+
+const findTier = (policy, name) => policy.tiers.find(tier => tier.name === name) ?? null;
+
+// what the member's base purchase points are multiplied by
+async function tierMultiplier(client, user) {
+    if (!user.tier) return 1;
+    const policy = await getTierPolicy(client);
+    if (!policy.enabled) return 1;
+    return findTier(policy, user.tier)?.multiplier ?? 1;
+}
+
+// the member's tier as shown on their profile, with the next tier to reach
+async function describeTier(client, user) {
+    const policy = await getTierPolicy(client);
+    if (!policy.enabled) return null;
+
+    const current = findTier(policy, user.tier);
+    const next = sortTiers(policy.tiers).find(tier => tier.threshold > (current?.threshold ?? -1)) ?? null;
+    return {
+        name: current?.name ?? null,
+        multiplier: current?.multiplier ?? 1,
+        basis: policy.basis,
+        nextTier: next && { name: next.name, threshold: next.threshold },
+        updatedAt: user.tierUpdatedAt ?? null,
+    };
+}
+
+const cents = (dollars) => Math.round((dollars ?? 0) * 100);
+
+// lifetime points and 12-month spend of every member who has transactions
+async function memberMeasures(client, now) {
+    const yearAgo = new Date(now);
+    yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+
+    const [earned, spend] = await Promise.all([
+        client.transaction.groupBy({
+            by: ['userId'],
+            where: { type: { in: EARNING_TYPES }, suspicious: false, userId: { not: null } },
+            _sum: { amount: true },
+        }),
+        client.transaction.groupBy({
+            by: ['userId'],
+            where: { type: TransactionType.purchase, voided: false, createdAt: { gte: yearAgo }, userId: { not: null } },
+            _sum: { spent: true, refundedSpent: true },
+        }),
+    ]);
+
+    const measures = new Map();
+    const measureOf = (userId) => {
+        if (!measures.has(userId)) measures.set(userId, { lifetimePoints: 0, spend12Months: 0 });
+        return measures.get(userId);
+    };
+    for (const row of earned) measureOf(row.userId).lifetimePoints = row._sum.amount ?? 0;
+    for (const row of spend) {
+        measureOf(row.userId).spend12Months = (cents(row._sum.spent) - cents(row._sum.refundedSpent)) / 100;
+    }
+    return measures;
+}
+
+// recomputes every member's lifetime points and tier; returns how many moved up or down
+async function recalculateTiers(client, now = new Date()) {
+    const policy = await getTierPolicy(client);
+    const measures = await memberMeasures(client, now);
+    const users = await client.user.findMany({ select: { id: true, tier: true, lifetimePoints: true } });
+
+    const summary = { users: users.length, upgraded: 0, downgraded: 0 };
+    for (const user of users) {
+        const measure = measures.get(user.id) ?? { lifetimePoints: 0, spend12Months: 0 };
+        const data = {};
+        if (measure.lifetimePoints !== user.lifetimePoints) data.lifetimePoints = measure.lifetimePoints;
+
+        if (policy.enabled) {
+            const current = findTier(policy, user.tier);
+            const earnedTier = tierFor(policy, measure[policy.basis]);
+            const rank = (tier) => tier?.threshold ?? -1;
+            const target = !policy.downgrades && rank(current) > rank(earnedTier) ? current : earnedTier;
+
+            if ((target?.name ?? null) !== user.tier) {
+                data.tier = target?.name ?? null;
+                data.tierUpdatedAt = now;
+                if (rank(target) > rank(current)) summary.upgraded++;
+                else summary.downgraded++;
+            }
+        }
+
+        if (Object.keys(data).length > 0) {
+            await client.user.update({ where: { id: user.id }, data });
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    TIER_BASES,
+    DEFAULT_TIER_POLICY,
+    validateTiers,
+    getTierPolicy,
+    updateTierPolicy,
+    tierMultiplier,
+    describeTier,
+    recalculateTiers,
+};
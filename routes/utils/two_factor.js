@@ -0,0 +1,55 @@
+// Second-factor checks shared by login and the /users/me/2fa endpoints
+const crypto = require('crypto');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+// replaces any existing recovery codes; the plaintext is only ever returned here
+async function generateRecoveryCodes(client, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await client.recoveryCode.deleteMany({ where: { userId } });
+    await client.recoveryCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) })),
+    });
+
+    return codes;
+}
+
+async function consumeRecoveryCode(client, userId, code) {
+    const result = await client.recoveryCode.updateMany({
+        where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+        data: { usedAt: new Date() },
+    });
+    return result.count > 0;
+}
+
+// accepts either a TOTP code or an unused recovery code; a TOTP code cannot be replayed
+async function verifySecondFactor(client, user, { code, recoveryCode } = {}) {
+    if (typeof recoveryCode === 'string' && recoveryCode.trim()) {
+        return consumeRecoveryCode(client, user.id, recoveryCode);
+    }
+
+    if (!user.twoFactorSecret) return false;
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    // conditional write so two requests racing with the same code cannot both succeed
+    const result = await client.user.updateMany({
+        where: {
+            id: user.id,
+            OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+        },
+        data: { twoFactorLastStep: step },
+    });
+    return result.count > 0;
+}
+
+module.exports = { generateRecoveryCodes, verifySecondFactor };
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateToken, useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, userIds, tokens } = api;
+
+test('PATCH /transactions/:id/suspicious is recorded in the audit log', async () => {
+    const transaction = await prisma.transaction.create({
+        data: {
+            type: 'purchase',
+            spent: 10.00,
+            amount: 40,
+            userId: userIds.regular,
+            createdById: userIds.cashier,
+        },
+    });
+
+    const response = await fetch(`${api.baseUrl}/transactions/${transaction.id}/suspicious`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({ suspicious: true }),
+    });
+    assert.strictEqual(response.status, 200);
+
+    // the log row is written once the response has finished
+    let log = null;
+    for (let i = 0; i < 20 && !log; i++) {
+        log = await prisma.auditLog.findFirst({
+            where: { action: 'transaction.suspicious', entityId: transaction.id },
+        });
+        if (!log) await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    assert.ok(log);
+    assert.strictEqual(log.actorId, userIds.manager);
+    assert.strictEqual(log.entityType, 'transaction');
+    assert.deepStrictEqual(JSON.parse(log.before), { suspicious: false });
+    assert.deepStrictEqual(JSON.parse(log.after), { suspicious: true });
+});
+
+// the shared fixture has no superuser; the audit trail is theirs to read
+async function superuserToken() {
+    const superuser = await prisma.user.upsert({
+        where: { utorid: 'auditsu1' },
+        update: {},
+        create: { utorid: 'auditsu1', name: 'Audit Superuser', email: 'auditsu1@mail.utoronto.ca', role: 'superuser', verified: true },
+    });
+    return generateToken(superuser.id, 'superuser');
+}
+
+test('GET /audit filters by actor, entity, action and time, newest first', async () => {
+    await prisma.auditLog.deleteMany();
+    const token = await superuserToken();
+
+    const day = (offset) => new Date(Date.UTC(2025, 0, 10 + offset));
+    const rows = [
+        { actorId: userIds.manager, action: 'user.update', entityType: 'user', entityId: userIds.regular, createdAt: day(0) },
+        { actorId: userIds.manager, action: 'transaction.suspicious', entityType: 'transaction', entityId: 7, createdAt: day(1) },
+        { actorId: userIds.cashier, action: 'user.create', entityType: 'user', entityId: userIds.regular, createdAt: day(2) },
+        { actorId: userIds.cashier, action: 'transaction.suspicious', entityType: 'transaction', entityId: 8, createdAt: day(3) },
+    ];
+    for (const row of rows) {
+        await prisma.auditLog.create({ data: { ...row, after: JSON.stringify({ n: row.entityId }) } });
+    }
+
+    const list = async (query) => {
+        const response = await fetch(`${api.baseUrl}/audit?${new URLSearchParams(query)}`, {
+            headers: { 'authorization': `Bearer ${token}` },
+        });
+        assert.strictEqual(response.status, 200);
+        return response.json();
+    };
+    const actions = (body) => body.results.map(log => `${log.action}:${log.entityId}`);
+
+    const all = await list({});
+    assert.strictEqual(all.count, 4);
+    assert.deepStrictEqual(actions(all), [
+        'transaction.suspicious:8', 'user.create:' + userIds.regular, 'transaction.suspicious:7', 'user.update:' + userIds.regular,
+    ]);
+    assert.strictEqual(all.results[0].actor, 'cashier1');
+    assert.deepStrictEqual(all.results[0].after, { n: 8 });
+
+    assert.deepStrictEqual(actions(await list({ actorId: userIds.manager })), ['transaction.suspicious:7', 'user.update:' + userIds.regular]);
+    assert.deepStrictEqual(actions(await list({ entityType: 'user', entityId: userIds.regular })), ['user.create:' + userIds.regular, 'user.update:' + userIds.regular]);
+    assert.deepStrictEqual(actions(await list({ action: 'transaction.suspicious' })), ['transaction.suspicious:8', 'transaction.suspicious:7']);
+    assert.deepStrictEqual(actions(await list({ from: day(1).toISOString(), to: day(2).toISOString() })), ['user.create:' + userIds.regular, 'transaction.suspicious:7']);
+
+    const secondPage = await list({ page: 2, limit: 3 });
+    assert.strictEqual(secondPage.count, 4);
+    assert.deepStrictEqual(actions(secondPage), ['user.update:' + userIds.regular]);
+});
+
+test('GET /audit is for superusers and rejects malformed filters', async () => {
+    const asManager = await fetch(`${api.baseUrl}/audit`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    });
+    assert.strictEqual(asManager.status, 403);
+
+    const token = await superuserToken();
+    for (const query of ['actorId=abc', 'entityId=0', 'from=yesterday', 'from=2025-01-02&to=2025-01-01', 'page=0']) {
+        const response = await fetch(`${api.baseUrl}/audit?${query}`, {
+            headers: { 'authorization': `Bearer ${token}` },
+        });
+        assert.strictEqual(response.status, 400, query);
+    }
+});
@@ -3,6 +3,8 @@ const assert = require('node:assert/strict');
 const http = require('node:http');
 const bcrypt = require('bcrypt');
 const { PrismaClient } = require('@prisma/client');
+const mail = require('../routes/utils/mail');
+const totp = require('../routes/utils/totp');
 
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
 
@@ -46,6 +48,7 @@ before(async () => {
 });
 
 beforeEach(async () => {
+    await prisma.loginThrottle.deleteMany();
     await prisma.user.update({
         where: { utorid: TEST_USER.utorid },
         data: {
@@ -53,8 +56,14 @@ beforeEach(async () => {
             lastLogin: null,
             resetToken: null,
             resetExpiresAt: null,
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorPendingSecret: null,
+            twoFactorLastStep: null,
+            twoFactorChallenge: null,
         },
     });
+    await prisma.recoveryCode.deleteMany();
 });
 
 after(async () => {
@@ -138,3 +147,268 @@ test('password reset flow issues token and accepts new password', async () => {
     const loginBody = await loginResponse.json();
     assert.ok(loginBody.token);
 });
+
+test('POST /auth/tokens/refresh rotates the refresh token and revokes the session on reuse', async () => {
+    const loginResponse = await fetch(`${baseUrl}/auth/tokens`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ utorid: TEST_USER.utorid, password: TEST_PASSWORD }),
+    });
+
+    assert.strictEqual(loginResponse.status, 200);
+    const loginBody = await loginResponse.json();
+    assert.ok(loginBody.refreshToken);
+    assert.ok(loginBody.refreshExpiresAt);
+
+    const refreshResponse = await fetch(`${baseUrl}/auth/tokens/refresh`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+    });
+
+    assert.strictEqual(refreshResponse.status, 200);
+    const refreshBody = await refreshResponse.json();
+    assert.ok(refreshBody.token);
+    assert.notStrictEqual(refreshBody.refreshToken, loginBody.refreshToken);
+
+    // presenting the old refresh token again revokes the whole session
+    const reuseResponse = await fetch(`${baseUrl}/auth/tokens/refresh`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+    });
+    assert.strictEqual(reuseResponse.status, 401);
+
+    const revokedResponse = await fetch(`${baseUrl}/auth/tokens/refresh`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ refreshToken: refreshBody.refreshToken }),
+    });
+    assert.strictEqual(revokedResponse.status, 401);
+});
+
+test('POST /auth/logout revokes the session behind the access token', async () => {
+    const loginResponse = await fetch(`${baseUrl}/auth/tokens`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ utorid: TEST_USER.utorid, password: TEST_PASSWORD }),
+    });
+    const { token } = await loginResponse.json();
+
+    const logoutResponse = await fetch(`${baseUrl}/auth/logout`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}` },
+    });
+    assert.strictEqual(logoutResponse.status, 204);
+
+    const meResponse = await fetch(`${baseUrl}/users/me`, {
+        headers: { authorization: `Bearer ${token}` },
+    });
+    assert.strictEqual(meResponse.status, 401);
+});
+
+test('POST /auth/tokens delays further attempts after repeated failures', async () => {
+    const attempt = () => fetch(`${baseUrl}/auth/tokens`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ utorid: TEST_USER.utorid, password: 'WrongPassword1!' }),
+    });
+
+    for (let i = 0; i < 3; i++) {
+        const response = await attempt();
+        assert.strictEqual(response.status, 401);
+    }
+
+    const throttled = await attempt();
+    assert.strictEqual(throttled.status, 429);
+    assert.ok(Number(throttled.headers.get('retry-after')) >= 1);
+    const body = await throttled.json();
+    assert.ok(body.error);
+    assert.ok(body.retryAfter >= 1);
+
+    const stored = await prisma.loginThrottle.findUnique({ where: { utorid: TEST_USER.utorid } });
+    assert.strictEqual(stored.failedCount, 3);
+});
+
+test('POST /auth/resets emails the token instead of returning it when delivery is enabled', async () => {
+    // separate account: TEST_USER is still inside the reset rate-limit window
+    const member = await prisma.user.create({
+        data: { utorid: 'mailtest', name: 'Mail Test', email: 'mail.test@mail.utoronto.ca' },
+    });
+
+    const transport = mail.createMemoryTransport();
+    mail.setTransport(transport);
+
+    try {
+        const resetResponse = await fetch(`${baseUrl}/auth/resets`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ utorid: member.utorid }),
+        });
+
+        assert.strictEqual(resetResponse.status, 202);
+        const resetBody = await resetResponse.json();
+        assert.ok(resetBody.expiresAt);
+        assert.strictEqual(resetBody.resetToken, undefined);
+
+        const stored = await prisma.user.findUnique({
+            where: { id: member.id },
+            select: { resetToken: true },
+        });
+
+        assert.strictEqual(transport.sent.length, 1);
+        assert.strictEqual(transport.sent[0].to, member.email);
+        assert.ok(transport.sent[0].text.includes(stored.resetToken));
+    } finally {
+        mail.setTransport(null);
+        await prisma.user.delete({ where: { id: member.id } });
+    }
+});
+
+test('POST /auth/resets reports a failed email instead of pretending it was sent', async () => {
+    const member = await prisma.user.create({
+        data: { utorid: 'mailfail', name: 'Mail Fail', email: 'mail.fail@mail.utoronto.ca' },
+    });
+
+    mail.setTransport({
+        name: 'broken',
+        async send() {
+            throw new Error('connection refused');
+        },
+    });
+
+    try {
+        const response = await fetch(`${baseUrl}/auth/resets`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ utorid: member.utorid }),
+        });
+
+        assert.strictEqual(response.status, 502);
+        assert.strictEqual((await response.json()).resetToken, undefined);
+    } finally {
+        mail.setTransport(null);
+        await prisma.user.delete({ where: { id: member.id } });
+    }
+});
+
+test('POST /auth/tokens requires a TOTP code for accounts with 2FA enabled', async () => {
+    const secret = totp.generateSecret();
+    await prisma.user.update({
+        where: { utorid: TEST_USER.utorid },
+        data: { twoFactorEnabled: true, twoFactorSecret: secret },
+    });
+
+    const passwordResponse = await fetch(`${baseUrl}/auth/tokens`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ utorid: TEST_USER.utorid, password: TEST_PASSWORD }),
+    });
+
+    assert.strictEqual(passwordResponse.status, 200);
+    const challenge = await passwordResponse.json();
+    assert.strictEqual(challenge.twoFactorRequired, true);
+    assert.strictEqual(challenge.token, undefined);
+
+    const wrong = totp.generateCode(secret) === '000000' ? '111111' : '000000';
+    const wrongCode = await fetch(`${baseUrl}/auth/tokens/2fa`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ challengeToken: challenge.challengeToken, code: wrong }),
+    });
+    assert.strictEqual(wrongCode.status, 401);
+
+    const codeResponse = await fetch(`${baseUrl}/auth/tokens/2fa`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ challengeToken: challenge.challengeToken, code: totp.generateCode(secret) }),
+    });
+
+    assert.strictEqual(codeResponse.status, 200);
+    const body = await codeResponse.json();
+    assert.ok(body.token);
+    assert.ok(body.refreshToken);
+
+    // the challenge token is not an access token
+    const meResponse = await fetch(`${baseUrl}/users/me`, {
+        headers: { authorization: `Bearer ${challenge.challengeToken}` },
+    });
+    assert.strictEqual(meResponse.status, 401);
+});
+
+const jsonRequest = (method, path, body, token) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+        'content-type': 'application/json',
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+});
+
+// logs TEST_USER in with a password and enrolls them in 2FA; returns the secret and recovery codes
+async function enrollTwoFactor() {
+    const login = await jsonRequest('POST', '/auth/tokens', { utorid: TEST_USER.utorid, password: TEST_PASSWORD });
+    const { token } = await login.json();
+
+    const { secret } = await (await jsonRequest('POST', '/users/me/2fa/setup', undefined, token)).json();
+    const confirm = await jsonRequest('POST', '/users/me/2fa/confirm', { code: totp.generateCode(secret) }, token);
+    assert.strictEqual(confirm.status, 200);
+    const { recoveryCodes } = await confirm.json();
+    return { token, secret, recoveryCodes };
+}
+
+test('POST /auth/tokens/2fa accepts a recovery code once and each challenge only once', async () => {
+    const { recoveryCodes } = await enrollTwoFactor();
+    assert.strictEqual(recoveryCodes.length, 10);
+
+    const login = async () => {
+        const response = await jsonRequest('POST', '/auth/tokens', { utorid: TEST_USER.utorid, password: TEST_PASSWORD });
+        return (await response.json()).challengeToken;
+    };
+
+    const challengeToken = await login();
+    const first = await jsonRequest('POST', '/auth/tokens/2fa', { challengeToken, recoveryCode: recoveryCodes[0] });
+    assert.strictEqual(first.status, 200);
+    assert.ok((await first.json()).token);
+
+    // a used challenge is dead even with a fresh recovery code
+    const replayed = await jsonRequest('POST', '/auth/tokens/2fa', { challengeToken, recoveryCode: recoveryCodes[1] });
+    assert.strictEqual(replayed.status, 401);
+
+    // a used recovery code is dead even with a fresh challenge
+    const reused = await jsonRequest('POST', '/auth/tokens/2fa', { challengeToken: await login(), recoveryCode: recoveryCodes[0] });
+    assert.strictEqual(reused.status, 401);
+
+    // logging in again invalidates the challenge handed out before
+    const stale = await login();
+    const latest = await login();
+    assert.strictEqual((await jsonRequest('POST', '/auth/tokens/2fa', { challengeToken: stale, recoveryCode: recoveryCodes[1] })).status, 401);
+    assert.strictEqual((await jsonRequest('POST', '/auth/tokens/2fa', { challengeToken: latest, recoveryCode: recoveryCodes[1] })).status, 200);
+
+    const stored = await prisma.recoveryCode.count({ where: { user: { utorid: TEST_USER.utorid }, usedAt: { not: null } } });
+    assert.strictEqual(stored, 2);
+});
+
+test('DELETE /users/me/2fa turns two-factor off with the password and a second factor', async () => {
+    const { token, recoveryCodes } = await enrollTwoFactor();
+
+    const wrongPassword = await jsonRequest('DELETE', '/users/me/2fa', { password: NEW_PASSWORD, recoveryCode: recoveryCodes[0] }, token);
+    assert.strictEqual(wrongPassword.status, 403);
+    const noFactor = await jsonRequest('DELETE', '/users/me/2fa', { password: TEST_PASSWORD }, token);
+    assert.strictEqual(noFactor.status, 400);
+
+    const disabled = await jsonRequest('DELETE', '/users/me/2fa', { password: TEST_PASSWORD, recoveryCode: recoveryCodes[0] }, token);
+    assert.strictEqual(disabled.status, 200);
+    assert.deepStrictEqual(await disabled.json(), { enabled: false });
+
+    const user = await prisma.user.findUnique({ where: { utorid: TEST_USER.utorid } });
+    assert.strictEqual(user.twoFactorEnabled, false);
+    assert.strictEqual(user.twoFactorSecret, null);
+    assert.strictEqual(await prisma.recoveryCode.count({ where: { userId: user.id } }), 0);
+
+    // the password alone logs in again
+    const login = await jsonRequest('POST', '/auth/tokens', { utorid: TEST_USER.utorid, password: TEST_PASSWORD });
+    const body = await login.json();
+    assert.strictEqual(body.twoFactorRequired, undefined);
+    assert.ok(body.token);
+});
@@ -0,0 +1,126 @@
+// Shared fixture for the API test files: four staff/member accounts with tokens and an app server on a
+// random port. Not a test file itself (node --test only picks up *.test.js).
+const { before, after, beforeEach } = require('node:test');
+const http = require('node:http');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const TEST_USERS = {
+    regular: {
+        utorid: 'regular1',
+        name: 'Regular User',
+        email: 'regular@mail.utoronto.ca',
+        role: 'regular',
+        verified: true,
+        password: 'Password123!',
+    },
+    cashier: {
+        utorid: 'cashier1',
+        name: 'Casey Cashier',
+        email: 'cashier@mail.utoronto.ca',
+        role: 'cashier',
+        verified: true,
+        password: 'Password123!',
+        suspicious: false,
+    },
+    suspiciousCashier: {
+        utorid: 'badcash1',
+        name: 'Bad Cashier',
+        email: 'badcashier@mail.utoronto.ca',
+        role: 'cashier',
+        verified: true,
+        password: 'Password123!',
+        suspicious: true,
+    },
+    manager: {
+        utorid: 'manager1',
+        name: 'Manager User',
+        email: 'manager@mail.utoronto.ca',
+        role: 'manager',
+        verified: true,
+        password: 'Password123!',
+    },
+};
+
+const generateToken = (userId, role) => {
+    return jwt.sign(
+        { sub: userId, role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+    );
+};
+
+// registers the before/beforeEach/after hooks of a test file; `baseUrl` is set once the server listens
+function useTestServer() {
+    const api = {
+        prisma: new PrismaClient(),
+        baseUrl: null,
+        userIds: {},
+        tokens: {},
+    };
+    const { prisma, userIds, tokens } = api;
+    let server;
+
+    before(async () => {
+        await prisma.transactionPromotion.deleteMany();
+        await prisma.transaction.deleteMany();
+        await prisma.promotion.deleteMany();
+        await prisma.user.deleteMany();
+
+        for (const [key, userData] of Object.entries(TEST_USERS)) {
+            const hashedPassword = await bcrypt.hash(userData.password, 10);
+            const user = await prisma.user.create({
+                data: {
+                    utorid: userData.utorid,
+                    name: userData.name,
+                    email: userData.email,
+                    role: userData.role,
+                    verified: userData.verified,
+                    password: hashedPassword,
+                    suspicious: userData.suspicious || false,
+                    points: 100,
+                },
+            });
+            userIds[key] = user.id;
+            tokens[key] = generateToken(user.id, user.role);
+        }
+
+        server = http.createServer(require('../index')).listen(0);
+        const { port } = server.address();
+        api.baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    beforeEach(async () => {
+        await prisma.userPermission.deleteMany();
+        await prisma.transferReversal.deleteMany();
+        await prisma.ledgerEntry.deleteMany();
+        await prisma.pointLot.deleteMany();
+        await prisma.setting.deleteMany();
+        await prisma.transactionPromotion.deleteMany();
+        await prisma.transaction.deleteMany();
+        await prisma.promotion.deleteMany();
+
+        await prisma.user.update({
+            where: { id: userIds.regular },
+            data: { points: 100 },
+        });
+    });
+
+    after(async () => {
+        if (server) {
+            await new Promise((resolve, reject) => {
+                server.close((err) => (err ? reject(err) : resolve()));
+            });
+        }
+        // policies a file switched on must not leak into the files that run after it
+        await prisma.setting.deleteMany();
+        await prisma.$disconnect();
+    });
+
+    return api;
+}
+
+module.exports = { TEST_USERS, generateToken, useTestServer };
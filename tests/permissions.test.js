@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_USERS, generateToken, useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, userIds, tokens } = api;
+
+test('POST /transactions honours per-user permission overrides', async () => {
+    await prisma.userPermission.createMany({
+        data: [
+            { userId: userIds.cashier, permission: 'transactions.adjust', granted: true },
+            { userId: userIds.cashier, permission: 'transactions.purchase', granted: false },
+        ],
+    });
+
+    const purchase = await prisma.transaction.create({
+        data: {
+            type: 'purchase',
+            spent: 10.00,
+            amount: 40,
+            userId: userIds.regular,
+            createdById: userIds.manager,
+        },
+    });
+
+    const adjust = await fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'adjustment',
+            utorid: TEST_USERS.regular.utorid,
+            amount: -10,
+            relatedId: purchase.id,
+        }),
+    });
+    assert.strictEqual(adjust.status, 201);
+
+    const buy = await fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'purchase',
+            utorid: TEST_USERS.regular.utorid,
+            spent: 10.00,
+        }),
+    });
+    assert.strictEqual(buy.status, 403);
+});
+
+test('revoking a permission denies access until the override is removed', async () => {
+    const superuser = await prisma.user.upsert({
+        where: { utorid: 'permsu01' },
+        update: {},
+        create: { utorid: 'permsu01', name: 'Permission Superuser', email: 'permsu01@mail.utoronto.ca', role: 'superuser', verified: true },
+    });
+    const superToken = generateToken(superuser.id, 'superuser');
+    const override = (method, body) => fetch(`${api.baseUrl}/users/${userIds.manager}/permissions/transactions.flag`, {
+        method,
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${superToken}`,
+        },
+        body: body && JSON.stringify(body),
+    });
+
+    const transaction = await prisma.transaction.create({
+        data: {
+            type: 'purchase',
+            spent: 10.00,
+            amount: 40,
+            userId: userIds.regular,
+            createdById: userIds.cashier,
+        },
+    });
+    const flag = (suspicious) => fetch(`${api.baseUrl}/transactions/${transaction.id}/suspicious`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({ suspicious }),
+    });
+
+    assert.strictEqual((await flag(true)).status, 200);
+
+    const revoked = await override('PUT', { granted: false });
+    assert.strictEqual(revoked.status, 200);
+    const described = await revoked.json();
+    assert.deepStrictEqual(described.overrides.map(({ permission, granted }) => ({ permission, granted })),
+        [{ permission: 'transactions.flag', granted: false }]);
+    assert.ok(described.rolePermissions.includes('transactions.flag'));
+    assert.ok(!described.effective.includes('transactions.flag'));
+
+    // the very next request is refused; nothing is cached from before the revoke
+    assert.strictEqual((await flag(false)).status, 403);
+    assert.strictEqual((await prisma.transaction.findUnique({ where: { id: transaction.id } })).suspicious, true);
+
+    // only superusers manage overrides
+    const byManager = await fetch(`${api.baseUrl}/users/${userIds.cashier}/permissions/transactions.flag`, {
+        method: 'PUT',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({ granted: true }),
+    });
+    assert.strictEqual(byManager.status, 403);
+
+    assert.strictEqual((await override('DELETE')).status, 200);
+    assert.strictEqual((await flag(false)).status, 200);
+    assert.strictEqual((await override('DELETE')).status, 404);
+});
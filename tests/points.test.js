@@ -0,0 +1,177 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_USERS, useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, userIds, tokens } = api;
+
+test('purchases are posted to the ledger and reconciliation books opening balances', async () => {
+    const purchase = await fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'purchase',
+            utorid: TEST_USERS.regular.utorid,
+            spent: 10.00,
+        }),
+    });
+    assert.strictEqual(purchase.status, 201);
+    const { id, earned } = await purchase.json();
+
+    const entries = await prisma.ledgerEntry.findMany({ where: { transactionId: id } });
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries.reduce((sum, entry) => sum + entry.amount, 0), 0);
+
+    const ledger = await fetch(`${api.baseUrl}/users/${userIds.regular}/ledger`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    });
+    assert.strictEqual(ledger.status, 200);
+    const ledgerBody = await ledger.json();
+    assert.strictEqual(ledgerBody.ledgerBalance, earned);
+    assert.strictEqual(ledgerBody.results[0].balance, earned);
+    assert.deepStrictEqual(ledgerBody.results[0].counterAccounts, ['system:purchases']);
+
+    // the 100 starting points were written straight to the user row, outside the ledger
+    const report = await fetch(`${api.baseUrl}/points/reconciliation`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    });
+    const mismatch = (await report.json()).mismatches.find((row) => row.userId === userIds.regular);
+    assert.strictEqual(mismatch.difference, 100);
+
+    const repair = await fetch(`${api.baseUrl}/points/reconciliation`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({ strategy: 'points', userIds: [userIds.regular] }),
+    });
+    assert.strictEqual(repair.status, 200);
+    const repaired = await repair.json();
+    assert.ok(!repaired.mismatches.some((row) => row.userId === userIds.regular));
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 100 + earned);
+});
+
+const setExpiryPolicy = async (changes) => {
+    const response = await fetch(`${api.baseUrl}/points/expiry-policy`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify(changes),
+    });
+    assert.strictEqual(response.status, 200);
+};
+
+const runExpirations = () => fetch(`${api.baseUrl}/points/expirations`, {
+    method: 'POST',
+    headers: { 'authorization': `Bearer ${tokens.manager}` },
+});
+
+const monthsAgo = (months) => {
+    const date = new Date();
+    date.setMonth(date.getMonth() - months);
+    return date;
+};
+
+test('POST /points/expirations expires lots older than the policy window', async () => {
+    await setExpiryPolicy({ enabled: true, months: 12 });
+
+    const earnedAt = monthsAgo(13);
+    await prisma.pointLot.createMany({
+        data: [
+            { userId: userIds.regular, source: 'purchase', amount: 30, remaining: 25, earnedAt },
+            { userId: userIds.regular, source: 'transfer', amount: 10, remaining: 10, earnedAt },
+            { userId: userIds.regular, source: 'purchase', amount: 20, remaining: 20 },
+        ],
+    });
+
+    const response = await runExpirations();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { users: 1, points: 25 });
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 75);
+
+    const expiration = await prisma.transaction.findFirst({ where: { type: 'expiration', userId: userIds.regular } });
+    assert.strictEqual(expiration.amount, -25);
+});
+
+test('POST /points/expirations takes a capped amount from the oldest due lots first', async () => {
+    await setExpiryPolicy({ enabled: true, months: 12 });
+    await prisma.user.update({ where: { id: userIds.regular }, data: { points: 40 } });
+
+    const oldest = await prisma.pointLot.create({
+        data: { userId: userIds.regular, source: 'purchase', amount: 30, remaining: 30, earnedAt: monthsAgo(14) },
+    });
+    const older = await prisma.pointLot.create({
+        data: { userId: userIds.regular, source: 'event', amount: 20, remaining: 20, earnedAt: monthsAgo(13) },
+    });
+
+    const response = await runExpirations();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { users: 1, points: 40 });
+
+    const lots = await prisma.pointLot.findMany({ where: { id: { in: [oldest.id, older.id] } }, orderBy: { id: 'asc' } });
+    assert.deepStrictEqual(lots.map(lot => lot.remaining), [0, 10]);
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 0);
+});
+
+test('membership tiers scale base points after a recalculation', async () => {
+    const policy = await fetch(`${api.baseUrl}/points/tier-policy`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({
+            enabled: true,
+            tiers: [
+                { name: 'Silver', threshold: 500, multiplier: 1.5 },
+                { name: 'Bronze', threshold: 0, multiplier: 1 },
+            ],
+        }),
+    });
+    assert.strictEqual(policy.status, 200);
+    assert.deepStrictEqual((await policy.json()).tiers.map(tier => tier.name), ['Bronze', 'Silver']);
+
+    const purchase = async (spent) => (await fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent }),
+    })).json();
+
+    // tiers only move when the job runs
+    assert.strictEqual((await purchase(150)).earned, 600);
+    const recalculated = await fetch(`${api.baseUrl}/points/tier-recalculations`, {
+        method: 'POST',
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    });
+    assert.strictEqual(recalculated.status, 200);
+    assert.ok((await recalculated.json()).upgraded >= 1);
+
+    const member = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(member.tier, 'Silver');
+    assert.strictEqual(member.lifetimePoints, 600);
+
+    const body = await purchase(10);
+    assert.strictEqual(body.earned, 60);
+    assert.strictEqual(body.breakdown.base, 60);
+
+    const me = await (await fetch(`${api.baseUrl}/users/me`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    })).json();
+    assert.strictEqual(me.tier.name, 'Silver');
+    assert.strictEqual(me.tier.nextTier, null);
+});
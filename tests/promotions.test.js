@@ -0,0 +1,219 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_USERS, useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, userIds, tokens } = api;
+
+test('GET /promotions hides a promotion from a member only once they have used it up', async () => {
+    const active = {
+        description: 'listing',
+        points: 5,
+        startTime: new Date(Date.now() - 1000 * 60 * 60),
+        endTime: new Date(Date.now() + 1000 * 60 * 60),
+    };
+    const oneTime = await prisma.promotion.create({ data: { ...active, name: 'Once', type: 'onetime' } });
+    const twice = await prisma.promotion.create({ data: { ...active, name: 'Twice', type: 'automatic', maxUsesPerUser: 2 } });
+    const unlimited = await prisma.promotion.create({ data: { ...active, name: 'Always', type: 'automatic' } });
+
+    // automatic promotions apply by themselves, the one-time one is asked for
+    const purchase = (promotionIds) => fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds }),
+    });
+    const listed = async () => {
+        const response = await fetch(`${api.baseUrl}/promotions`, {
+            headers: { 'authorization': `Bearer ${tokens.regular}` },
+        });
+        assert.strictEqual(response.status, 200);
+        return (await response.json()).results.map(promotion => promotion.id).sort((a, b) => a - b);
+    };
+
+    assert.deepStrictEqual(await listed(), [oneTime.id, twice.id, unlimited.id]);
+
+    assert.strictEqual((await purchase([oneTime.id])).status, 201);
+    assert.deepStrictEqual(await listed(), [twice.id, unlimited.id]);
+
+    assert.strictEqual((await purchase([])).status, 201);
+    assert.deepStrictEqual(await listed(), [unlimited.id]);
+});
+
+test('promotion codes are generated in bulk and burned by purchases', async () => {
+    const promotion = await prisma.promotion.create({
+        data: {
+            name: 'Coupon',
+            description: 'code only',
+            type: 'automatic',
+            points: 15,
+            requiresCode: true,
+            startTime: new Date(Date.now() - 1000 * 60 * 60),
+            endTime: new Date(Date.now() + 1000 * 60 * 60),
+        },
+    });
+
+    const generated = await fetch(`${api.baseUrl}/promotions/${promotion.id}/codes`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({ count: 3, prefix: 'spring-' }),
+    });
+    assert.strictEqual(generated.status, 201);
+    const { codes } = await generated.json();
+    assert.strictEqual(new Set(codes).size, 3);
+    assert.ok(codes.every(code => code.startsWith('SPRING-')));
+
+    const purchase = (body) => fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent: 10, ...body }),
+    });
+
+    // neither the id nor the automatic pass can apply a code-only promotion
+    assert.strictEqual((await purchase({ promotionIds: [promotion.id] })).status, 400);
+    assert.strictEqual((await (await purchase({})).json()).earned, 40);
+
+    const response = await purchase({ promotionCodes: [codes[0].toLowerCase()] });
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+    assert.strictEqual(body.earned, 55);
+    assert.strictEqual(body.appliedPromotions[0].code, codes[0]);
+
+    const reused = await purchase({ promotionCodes: [codes[0]] });
+    assert.strictEqual(reused.status, 400);
+    assert.match((await reused.json()).error, /already been used/);
+    assert.strictEqual((await purchase({ promotionCodes: ['NOPE1234'] })).status, 400);
+
+    const listing = await (await fetch(`${api.baseUrl}/promotions/${promotion.id}/codes`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    })).json();
+    assert.strictEqual(listing.count, 3);
+    assert.strictEqual(listing.results.find(row => row.code === codes[0]).redemptions, 1);
+});
+
+
+test('GET /promotions/:id/stats compares promotion purchases with the baseline', async () => {
+    const promotion = await prisma.promotion.create({
+        data: {
+            name: 'Big basket',
+            description: 'auto',
+            type: 'automatic',
+            minSpending: 20,
+            points: 12,
+            startTime: new Date(Date.now() - 1000 * 60 * 60),
+            endTime: new Date(Date.now() + 1000 * 60 * 60),
+        },
+    });
+
+    for (const spent of [30, 10]) {
+        const response = await fetch(`${api.baseUrl}/transactions`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'authorization': `Bearer ${tokens.cashier}`,
+            },
+            body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent }),
+        });
+        assert.strictEqual(response.status, 201);
+    }
+
+    const forbidden = await fetch(`${api.baseUrl}/promotions/${promotion.id}/stats`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    assert.strictEqual(forbidden.status, 403);
+
+    const response = await fetch(`${api.baseUrl}/promotions/${promotion.id}/stats`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    });
+    assert.strictEqual(response.status, 200);
+    const stats = await response.json();
+    assert.strictEqual(stats.transactions, 1);
+    assert.strictEqual(stats.uniqueUsers, 1);
+    assert.strictEqual(stats.totalSpend, 30);
+    assert.strictEqual(stats.bonusPoints, 12);
+    assert.deepStrictEqual(stats.baseline, { transactions: 1, averageBasket: 10 });
+    assert.strictEqual(stats.basketLift, 2);
+    assert.strictEqual(stats.daily.reduce((total, day) => total + day.transactions, 0), 1);
+});
+
+test('promotions go through draft, second-manager approval and archiving', async () => {
+    await prisma.userPermission.create({
+        data: { userId: userIds.cashier, permission: 'promotions.manage', granted: true },
+    });
+    const request = (token, method, path, body) => fetch(`${api.baseUrl}/promotions${path}`, {
+        method,
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${token}`,
+        },
+        body: body && JSON.stringify(body),
+    });
+
+    const created = await (await request(tokens.manager, 'POST', '', {
+        name: 'Launch',
+        description: 'needs review',
+        type: 'automatic',
+        startTime: new Date(Date.now() + 1000 * 60).toISOString(),
+        endTime: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+        points: 5,
+    })).json();
+    assert.strictEqual(created.status, 'draft');
+
+    const submitted = await request(tokens.manager, 'PATCH', `/${created.id}/status`, { status: 'pending-approval' });
+    assert.strictEqual((await submitted.json()).status, 'pending-approval');
+    assert.strictEqual((await request(tokens.manager, 'PATCH', `/${created.id}/status`, { status: 'approved' })).status, 403);
+    const approved = await request(tokens.cashier, 'PATCH', `/${created.id}/status`, { status: 'approved' });
+    assert.strictEqual((await approved.json()).status, 'scheduled');
+
+    const clone = await request(tokens.manager, 'POST', `/${created.id}/clone`, {
+        startTime: new Date(Date.now() + 1000 * 60 * 60 * 24).toISOString(),
+        endTime: new Date(Date.now() + 1000 * 60 * 60 * 48).toISOString(),
+    });
+    assert.strictEqual(clone.status, 201);
+    const cloned = await clone.json();
+    assert.strictEqual(cloned.status, 'draft');
+    assert.strictEqual(cloned.clonedFromId, created.id);
+    assert.strictEqual(cloned.points, 5);
+    assert.strictEqual(cloned.createdById, userIds.manager);
+
+    // the creator cannot approve either, even when another manager submitted it
+    const resubmitted = await request(tokens.cashier, 'PATCH', `/${cloned.id}/status`, { status: 'pending-approval' });
+    assert.strictEqual((await resubmitted.json()).submittedById, userIds.cashier);
+    assert.strictEqual((await request(tokens.manager, 'PATCH', `/${cloned.id}/status`, { status: 'approved' })).status, 403);
+    assert.strictEqual((await prisma.promotion.findUnique({ where: { id: cloned.id } })).status, 'pending');
+
+    // archiving keeps the promotion on past transactions but stops it from applying
+    const live = await prisma.promotion.create({
+        data: {
+            name: 'Live',
+            description: 'running',
+            type: 'onetime',
+            points: 10,
+            startTime: new Date(Date.now() - 1000 * 60 * 60),
+            endTime: new Date(Date.now() + 1000 * 60 * 60),
+        },
+    });
+    const purchase = () => fetch(`${api.baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds: [live.id] }),
+    });
+    assert.strictEqual((await purchase()).status, 201);
+    assert.strictEqual((await request(tokens.manager, 'DELETE', `/${live.id}`)).status, 204);
+    assert.strictEqual((await request(tokens.manager, 'DELETE', `/${live.id}`)).status, 409);
+    assert.strictEqual(await prisma.transactionPromotion.count({ where: { promotionId: live.id } }), 1);
+
+    await prisma.transactionPromotion.deleteMany();
+    assert.strictEqual((await purchase()).status, 400);
+});
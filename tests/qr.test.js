@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_USERS, useTestServer } = require('./helpers');
+const { signPurposeToken } = require('../routes/utils/purpose_tokens');
+
+const api = useTestServer();
+const { userIds, tokens } = api;
+
+test('POST /transactions/scan resolves QR codes and rejects tampered or expired ones', async () => {
+    const scan = (payload, token = tokens.cashier) => fetch(`${api.baseUrl}/transactions/scan`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ payload }),
+    });
+
+    const png = await fetch(`${api.baseUrl}/users/me/qr`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    assert.strictEqual(png.status, 200);
+    assert.strictEqual(png.headers.get('content-type'), 'image/png');
+
+    const identity = await fetch(`${api.baseUrl}/users/me/qr?format=json`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    const { payload } = await identity.json();
+
+    const scanned = await scan(payload);
+    assert.strictEqual(scanned.status, 200);
+    const body = await scanned.json();
+    assert.strictEqual(body.kind, 'user');
+    assert.strictEqual(body.user.utorid, TEST_USERS.regular.utorid);
+
+    assert.strictEqual((await scan(payload, tokens.regular)).status, 403);
+    assert.strictEqual((await scan(`${payload}x`)).status, 400);
+    const expired = signPurposeToken('qr', { kind: 'user', uid: userIds.regular }, -10);
+    assert.strictEqual((await scan(expired.token)).status, 410);
+
+    const created = await fetch(`${api.baseUrl}/users/me/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.regular}`,
+        },
+        body: JSON.stringify({ type: 'redemption', amount: 20 }),
+    });
+    const { id } = await created.json();
+    const svg = await fetch(`${api.baseUrl}/users/me/transactions/${id}/qr?format=svg`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    assert.strictEqual(svg.status, 200);
+    assert.match(await svg.text(), /^<svg/);
+
+    const redemptionQr = await fetch(`${api.baseUrl}/users/me/transactions/${id}/qr?format=json`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    const redemption = await (await scan((await redemptionQr.json()).payload)).json();
+    assert.strictEqual(redemption.kind, 'redemption');
+    assert.strictEqual(redemption.transaction.id, id);
+    assert.strictEqual(redemption.transaction.status, 'pending');
+});
+
+test('POST /transactions/scan refuses redemption codes that expired or were already used', async () => {
+    const scan = (payload) => fetch(`${api.baseUrl}/transactions/scan`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ payload }),
+    });
+    const redeem = async (amount) => {
+        const created = await fetch(`${api.baseUrl}/users/me/transactions`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'authorization': `Bearer ${tokens.regular}`,
+            },
+            body: JSON.stringify({ type: 'redemption', amount }),
+        });
+        assert.strictEqual(created.status, 201);
+        return (await created.json()).id;
+    };
+    const qrPayload = async (id) => {
+        const qr = await fetch(`${api.baseUrl}/users/me/transactions/${id}/qr?format=json`, {
+            headers: { 'authorization': `Bearer ${tokens.regular}` },
+        });
+        return (await qr.json()).payload;
+    };
+
+    const pendingId = await redeem(10);
+    const expired = signPurposeToken('qr', { kind: 'redemption', uid: userIds.regular, tid: pendingId }, -10);
+    assert.strictEqual((await scan(expired.token)).status, 410);
+
+    // the code was issued while pending and is used once the cashier processes the redemption
+    const processedId = await redeem(20);
+    const processedCode = await qrPayload(processedId);
+    assert.strictEqual((await scan(processedCode)).status, 200);
+    const processed = await fetch(`${api.baseUrl}/transactions/${processedId}/processed`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ processed: true }),
+    });
+    assert.strictEqual(processed.status, 200);
+    const reused = await scan(processedCode);
+    assert.strictEqual(reused.status, 410);
+    assert.match((await reused.json()).error, /processed/);
+
+    const cancelledId = await redeem(30);
+    const cancelledCode = await qrPayload(cancelledId);
+    const cancelled = await fetch(`${api.baseUrl}/users/me/transactions/${cancelledId}`, {
+        method: 'DELETE',
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual((await scan(cancelledCode)).status, 410);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, userIds, tokens } = api;
+
+test('approved transfer reversals move the points back with a linked pair', async () => {
+    const transfer = await fetch(`${api.baseUrl}/users/${userIds.cashier}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.regular}`,
+        },
+        body: JSON.stringify({ type: 'transfer', amount: 30 }),
+    });
+    assert.strictEqual(transfer.status, 201);
+    const { id: transferId } = await transfer.json();
+
+    const request = await fetch(`${api.baseUrl}/reversals`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.regular}`,
+        },
+        body: JSON.stringify({ transactionId: transferId, reason: 'wrong recipient' }),
+    });
+    assert.strictEqual(request.status, 201);
+    const reversal = await request.json();
+    assert.strictEqual(reversal.status, 'pending');
+
+    const decide = (token, status) => fetch(`${api.baseUrl}/reversals/${reversal.id}`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ status }),
+    });
+
+    // the sender cannot approve their own request
+    assert.strictEqual((await decide(tokens.regular, 'approved')).status, 403);
+
+    const approved = await decide(tokens.cashier, 'approved');
+    assert.strictEqual(approved.status, 200);
+    const approvedBody = await approved.json();
+    assert.strictEqual(approvedBody.status, 'approved');
+
+    const credit = await prisma.transaction.findUnique({ where: { id: approvedBody.reversalTransactionId } });
+    const debit = await prisma.transaction.findUnique({ where: { id: credit.relatedTransactionId } });
+    assert.strictEqual(credit.amount, 30);
+    assert.strictEqual(debit.amount, -30);
+    assert.strictEqual(debit.relatedTransactionId, credit.id);
+
+    const sender = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(sender.points, 100);
+
+    assert.strictEqual((await decide(tokens.cashier, 'rejected')).status, 409);
+});
+
+test('a manager cannot decide on the reversal of their own transfer', async () => {
+    const send = (token, path, body) => fetch(`${api.baseUrl}${path}`, {
+        method: path.startsWith('/reversals/') ? 'PATCH' : 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+    });
+
+    const transfer = await send(tokens.manager, `/users/${userIds.regular}/transactions`, { type: 'transfer', amount: 20 });
+    assert.strictEqual(transfer.status, 201);
+    const request = await send(tokens.manager, '/reversals', { transactionId: (await transfer.json()).id, reason: 'typo' });
+    assert.strictEqual(request.status, 201);
+    const reversal = await request.json();
+
+    assert.strictEqual((await send(tokens.manager, `/reversals/${reversal.id}`, { status: 'approved' })).status, 403);
+    assert.strictEqual((await send(tokens.manager, `/reversals/${reversal.id}`, { status: 'rejected' })).status, 403);
+    const stored = await prisma.transferReversal.findUnique({ where: { id: reversal.id } });
+    assert.strictEqual(stored.status, 'pending');
+
+    const cancelled = await send(tokens.manager, `/reversals/${reversal.id}`, { status: 'cancelled' });
+    assert.strictEqual((await cancelled.json()).status, 'cancelled');
+});
@@ -652,3 +652,435 @@ test('PATCH /transactions/:id/suspicious rejects non-manager', async () => {
 
     assert.strictEqual(response.status, 403);
 });
+
+test('GET /transactions/export streams matching rows as CSV', async () => {
+    await prisma.transaction.create({
+        data: {
+            type: 'purchase',
+            spent: 10.00,
+            amount: 40,
+            remark: 'lunch, with "friends"',
+            userId: userIds.regular,
+            createdById: userIds.cashier,
+        },
+    });
+    await prisma.transaction.create({
+        data: {
+            type: 'adjustment',
+            amount: -5,
+            userId: userIds.regular,
+            createdById: userIds.manager,
+        },
+    });
+
+    const response = await fetch(`${baseUrl}/transactions/export?format=csv&type=purchase&includeRelated=true`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+
+    const lines = (await response.text()).trim().split('\r\n');
+    assert.strictEqual(lines[0], 'id,createdAt,utorid,type,amount,spent,suspicious,remark,createdBy,processedBy,promotionIds,relatedId');
+    assert.strictEqual(lines.length, 2);
+    assert.ok(lines[1].includes('"lunch, with ""friends"""'));
+});
+
+test('GET /transactions/export rejects non-manager', async () => {
+    const response = await fetch(`${baseUrl}/transactions/export?format=jsonl`, {
+        headers: { 'authorization': `Bearer ${tokens.cashier}` },
+    });
+
+    assert.strictEqual(response.status, 403);
+});
+
+test('POST /transactions/:id/refund reverses points for partial and full refunds', async () => {
+    const purchase = await fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'purchase',
+            utorid: TEST_USERS.regular.utorid,
+            spent: 10.00,
+        }),
+    });
+    const { id } = await purchase.json();
+
+    const refund = (body) => fetch(`${baseUrl}/transactions/${id}/refund`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify(body),
+    });
+
+    const partial = await refund({ spent: 4.00 });
+    assert.strictEqual(partial.status, 201);
+    const partialBody = await partial.json();
+    assert.strictEqual(partialBody.refunded, 16);
+    assert.strictEqual(partialBody.voided, false);
+    assert.strictEqual(partialBody.relatedId, id);
+
+    const tooMuch = await refund({ spent: 6.01 });
+    assert.strictEqual(tooMuch.status, 400);
+
+    const rest = await refund({});
+    assert.strictEqual(rest.status, 201);
+    const restBody = await rest.json();
+    assert.strictEqual(restBody.refunded, 24);
+    assert.strictEqual(restBody.voided, true);
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 100);
+
+    const original = await prisma.transaction.findUnique({ where: { id } });
+    assert.strictEqual(original.voided, true);
+});
+
+test('POST /transactions/:id/refund takes back a bonus once the purchase drops below its minimum spending', async () => {
+    const promotion = await prisma.promotion.create({
+        data: {
+            name: 'Big Basket',
+            description: '50 bonus points on $15 or more',
+            type: 'automatic',
+            startTime: new Date(Date.now() - 1000 * 60 * 60),
+            endTime: new Date(Date.now() + 1000 * 60 * 60),
+            minSpending: 15,
+            points: 50,
+        },
+    });
+
+    const purchase = await fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'purchase',
+            utorid: TEST_USERS.regular.utorid,
+            spent: 20.00,
+            promotionIds: [promotion.id],
+        }),
+    });
+    const { id, earned } = await purchase.json();
+    assert.strictEqual(earned, 130);
+
+    const refund = (body) => fetch(`${baseUrl}/transactions/${id}/refund`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify(body),
+    });
+
+    // $16 kept still qualifies: only the base points of the refunded $4 go
+    const stillEligible = await refund({ spent: 4.00 });
+    assert.strictEqual(stillEligible.status, 201);
+    assert.strictEqual((await stillEligible.json()).refunded, 16);
+
+    // $14 kept does not: the base points of $2 and the whole bonus go
+    const belowMinimum = await refund({ spent: 2.00 });
+    assert.strictEqual(belowMinimum.status, 201);
+    assert.strictEqual((await belowMinimum.json()).refunded, 58);
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 100 + 56);
+});
+
+test('POST /transactions/:id/refund only takes back the points the member still has', async () => {
+    const purchase = await fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'purchase',
+            utorid: TEST_USERS.regular.utorid,
+            spent: 10.00,
+        }),
+    });
+    const { id } = await purchase.json();
+
+    // the member spent most of the balance, purchase points included
+    await prisma.user.update({ where: { id: userIds.regular }, data: { points: 10 } });
+
+    const response = await fetch(`${baseUrl}/transactions/${id}/refund`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({}),
+    });
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+    assert.strictEqual(body.refunded, 10);
+    assert.strictEqual(body.shortfall, 30);
+    assert.strictEqual(body.voided, true);
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 0);
+});
+
+test('POST /transactions resolves promotion stacking by group, priority and caps', async () => {
+    const active = {
+        type: 'automatic',
+        startTime: new Date(Date.now() - 1000 * 60 * 60),
+        endTime: new Date(Date.now() + 1000 * 60 * 60),
+    };
+    const create = (data) => prisma.promotion.create({ data: { description: 'stacking', ...active, ...data } });
+
+    const stackable = await create({ name: 'Stackable', points: 10 });
+    const smaller = await create({ name: 'Group small', points: 30, stacking: 'best_of_group', group: 'g' });
+    const capped = await create({ name: 'Group capped', points: 50, maxBonus: 40, stacking: 'best_of_group', group: 'g' });
+    const exclusive = await create({ name: 'Exclusive', points: 100, stacking: 'exclusive', priority: -1 });
+
+    const response = await fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({
+            type: 'purchase',
+            utorid: TEST_USERS.regular.utorid,
+            spent: 10.00,
+            promotionIds: [exclusive.id, smaller.id, capped.id, stackable.id],
+        }),
+    });
+
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+    // base 40 + stackable 10 + capped group winner 40
+    assert.strictEqual(body.earned, 90);
+    const sorted = (ids) => [...ids].sort((a, b) => a - b);
+    assert.deepStrictEqual(sorted(body.promotionIds), sorted([stackable.id, capped.id]));
+    const bonuses = Object.fromEntries(body.appliedPromotions.map(p => [p.id, p.bonus]));
+    assert.deepStrictEqual(bonuses, { [stackable.id]: 10, [capped.id]: 40 });
+    assert.deepStrictEqual(sorted(body.rejectedPromotions.map(p => p.id)), sorted([smaller.id, exclusive.id]));
+    assert.ok(body.rejectedPromotions.every(p => p.reason));
+});
+
+test('POST /transactions applies eligible automatic promotions without being asked', async () => {
+    const window = {
+        startTime: new Date(Date.now() - 1000 * 60 * 60),
+        endTime: new Date(Date.now() + 1000 * 60 * 60),
+    };
+    const automatic = await prisma.promotion.create({
+        data: { name: 'Big spender', description: 'auto', type: 'automatic', minSpending: 20, points: 25, ...window },
+    });
+    const onetime = await prisma.promotion.create({
+        data: { name: 'Welcome', description: 'once', type: 'onetime', points: 5, ...window },
+    });
+
+    const purchase = (spent, promotionIds) => fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent, promotionIds }),
+    });
+
+    const small = await (await purchase(10)).json();
+    assert.strictEqual(small.earned, 40);
+    assert.deepStrictEqual(small.appliedPromotions, []);
+
+    const response = await purchase(25, [onetime.id]);
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+    assert.deepStrictEqual(body.breakdown, { base: 100, bonus: 30, total: 130 });
+    assert.strictEqual(body.earned, 130);
+    const applied = Object.fromEntries(body.appliedPromotions.map(p => [p.id, p.automatic]));
+    assert.deepStrictEqual(applied, { [automatic.id]: true, [onetime.id]: false });
+});
+
+test('POST /transactions/preview quotes a purchase without recording it', async () => {
+    const onetime = await prisma.promotion.create({
+        data: {
+            name: 'Welcome',
+            description: 'once',
+            type: 'onetime',
+            points: 5,
+            startTime: new Date(Date.now() - 1000 * 60 * 60),
+            endTime: new Date(Date.now() + 1000 * 60 * 60),
+        },
+    });
+    const preview = (body) => fetch(`${baseUrl}/transactions/preview`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify(body),
+    });
+
+    const response = await preview({ utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds: [onetime.id] });
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.earned, 45);
+    assert.deepStrictEqual(body.breakdown, { base: 40, bonus: 5, total: 45 });
+    assert.strictEqual(body.id, undefined);
+
+    assert.strictEqual(await prisma.transaction.count(), 0);
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 100);
+
+    // still unused, so the real purchase can take it
+    assert.strictEqual((await preview({ utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds: [onetime.id] })).status, 200);
+    assert.strictEqual((await preview({ utorid: 'nobody00', spent: 10 })).status, 404);
+});
+
+test('targeted promotions are limited to their segment', async () => {
+    const window = {
+        type: 'automatic',
+        startTime: new Date(Date.now() - 1000 * 60 * 60),
+        endTime: new Date(Date.now() + 1000 * 60 * 60),
+    };
+    const cashiersOnly = await prisma.promotion.create({
+        data: { name: 'Staff', description: 'staff', points: 50, segment: JSON.stringify({ roles: ['cashier'] }), ...window },
+    });
+    const listed = await prisma.promotion.create({
+        data: {
+            name: 'Invited',
+            description: 'invite only',
+            points: 7,
+            segment: JSON.stringify({ minPoints: 50 }),
+            segmentUsers: { create: [{ userId: userIds.regular }] },
+            ...window,
+        },
+    });
+
+    const listing = await fetch(`${baseUrl}/promotions`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    const { count, results } = await listing.json();
+    assert.strictEqual(count, 1);
+    assert.strictEqual(results[0].id, listed.id);
+    assert.strictEqual(results[0].segment, undefined);
+
+    const hidden = await fetch(`${baseUrl}/promotions/${cashiersOnly.id}`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    assert.strictEqual(hidden.status, 404);
+
+    const purchase = (promotionIds) => fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds }),
+    });
+
+    assert.strictEqual((await purchase([cashiersOnly.id])).status, 400);
+
+    // only the promotion the member qualifies for is applied automatically
+    const body = await (await purchase()).json();
+    assert.deepStrictEqual(body.promotionIds, [listed.id]);
+    assert.strictEqual(body.earned, 47);
+});
+
+test('promotion usage limits and budgets are enforced and released on void', async () => {
+    const promotion = await prisma.promotion.create({
+        data: {
+            name: 'Limited',
+            description: 'limited',
+            type: 'automatic',
+            points: 10,
+            maxUsesPerUser: 2,
+            budget: 25,
+            startTime: new Date(Date.now() - 1000 * 60 * 60),
+            endTime: new Date(Date.now() + 1000 * 60 * 60),
+        },
+    });
+    const purchase = () => fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds: [promotion.id] }),
+    });
+    const counters = async () => (await fetch(`${baseUrl}/promotions/${promotion.id}`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    })).json();
+
+    assert.strictEqual((await purchase()).status, 201);
+    const second = await (await purchase()).json();
+    const third = await purchase();
+    assert.strictEqual(third.status, 400);
+    assert.match((await third.json()).error, /limit reached/);
+
+    const before = await counters();
+    assert.strictEqual(before.usesCount, 2);
+    assert.strictEqual(before.bonusIssued, 20);
+    assert.strictEqual(before.remainingBudget, 5);
+    assert.strictEqual(before.remainingUses, null);
+
+    const voided = await fetch(`${baseUrl}/transactions/${second.id}/refund`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.manager}`,
+        },
+        body: JSON.stringify({}),
+    });
+    assert.strictEqual(voided.status, 201);
+
+    const after = await counters();
+    assert.strictEqual(after.usesCount, 1);
+    assert.strictEqual(after.remainingBudget, 15);
+    assert.strictEqual((await purchase()).status, 201);
+});
+
+test('recurring promotions only apply while their schedule runs', async () => {
+    const now = Date.now();
+    const window = {
+        type: 'automatic',
+        startTime: new Date(now - 1000 * 60 * 60),
+        endTime: new Date(now + 1000 * 60 * 60 * 24 * 3),
+    };
+    const skipToday = [now - 1000 * 60 * 60, now].map(time => new Date(time).toISOString().slice(0, 10));
+    const everyDay = await prisma.promotion.create({
+        data: { name: 'Daily', description: 'all day', points: 5, ...window, recurrence: JSON.stringify({ frequency: 'daily' }) },
+    });
+    const notToday = await prisma.promotion.create({
+        data: {
+            name: 'Holiday break',
+            description: 'not today',
+            points: 7,
+            ...window,
+            recurrence: JSON.stringify({ frequency: 'daily', exceptDates: skipToday }),
+        },
+    });
+
+    const purchase = (promotionIds) => fetch(`${baseUrl}/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ type: 'purchase', utorid: TEST_USERS.regular.utorid, spent: 10, promotionIds }),
+    });
+
+    const rejected = await purchase([notToday.id]);
+    assert.strictEqual(rejected.status, 400);
+    assert.match((await rejected.json()).error, /not active/);
+
+    const body = await (await purchase([])).json();
+    assert.deepStrictEqual(body.appliedPromotions.map(p => p.id), [everyDay.id]);
+
+    const listed = await (await fetch(`${baseUrl}/promotions?started=false`, {
+        headers: { 'authorization': `Bearer ${tokens.manager}` },
+    })).json();
+    assert.deepStrictEqual(listed.results.map(p => p.id), [notToday.id]);
+    assert.deepStrictEqual(listed.results[0].recurrence.exceptDates, skipToday);
+});
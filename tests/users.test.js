@@ -0,0 +1,109 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_USERS, useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, tokens } = api;
+
+const importCsv = (csv, query = '') => fetch(`${api.baseUrl}/users/import${query}`, {
+    method: 'POST',
+    headers: {
+        'content-type': 'text/csv',
+        'authorization': `Bearer ${tokens.cashier}`,
+    },
+    body: csv,
+});
+
+// the fixture accounts stay; anything an import created goes
+beforeEach(async () => {
+    await prisma.user.deleteMany({
+        where: { utorid: { notIn: Object.values(TEST_USERS).map(user => user.utorid) } },
+    });
+});
+
+test('POST /users/import reports rows that fail validation by row number', async () => {
+    const response = await importCsv([
+        'utorid,name,email',
+        'short,Too Short,short@mail.utoronto.ca',
+        'import01,Wrong Domain,import01@gmail.com',
+        'import02,Good Row,import02@mail.utoronto.ca',
+    ].join('\n'));
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+
+    assert.strictEqual(body.total, 3);
+    assert.strictEqual(body.valid, 1);
+    assert.deepStrictEqual(body.errors.map(error => error.row), [2, 3]);
+    assert.match(body.errors[0].errors[0], /^utorid - /);
+    assert.match(body.errors[1].errors[0], /^email - must be of domain/);
+    assert.deepStrictEqual(body.created.map(user => user.utorid), ['import02']);
+});
+
+test('POST /users/import catches duplicates within the file regardless of case', async () => {
+    const response = await importCsv([
+        'utorid,name,email',
+        'import01,First Copy,import01@mail.utoronto.ca',
+        ' IMPORT01 ,Second Copy,other01@mail.utoronto.ca',
+        'import02,Same Email,IMPORT01@mail.utoronto.ca',
+    ].join('\n'));
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+
+    assert.deepStrictEqual(body.errors, [
+        { row: 3, utorid: 'IMPORT01', errors: ['utorid - duplicate of row 2'] },
+        { row: 4, utorid: 'import02', errors: ['email - duplicate of row 2'] },
+    ]);
+    assert.deepStrictEqual(body.created.map(user => user.utorid), ['import01']);
+});
+
+test('POST /users/import rejects users that are already registered', async () => {
+    const response = await importCsv([
+        'utorid,name,email',
+        `${TEST_USERS.regular.utorid.toUpperCase()},Taken Utorid,fresh001@mail.utoronto.ca`,
+        `import01,Taken Email,${TEST_USERS.regular.email}`,
+    ].join('\n'));
+    assert.strictEqual(response.status, 400);
+    const body = await response.json();
+
+    assert.strictEqual(body.valid, 0);
+    assert.deepStrictEqual(body.errors.map(error => error.errors), [['utorid already exists'], ['email already exists']]);
+    assert.deepStrictEqual(body.created, []);
+});
+
+test('POST /users/import?dryRun=true validates without creating anyone', async () => {
+    const response = await importCsv([
+        'utorid,name,email',
+        'import01,Dry Run,import01@mail.utoronto.ca',
+    ].join('\n'), '?dryRun=true');
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+
+    assert.strictEqual(body.dryRun, true);
+    assert.strictEqual(body.valid, 1);
+    assert.deepStrictEqual(body.created, []);
+    assert.strictEqual(await prisma.user.count({ where: { utorid: 'import01' } }), 0);
+});
+
+test('POST /users/import creates every valid row with an activation token', async () => {
+    const response = await importCsv([
+        'utorid,name,email',
+        'Import01,First Import,Import01@mail.utoronto.ca',
+        'import02,"Second, Import",import02@mail.utoronto.ca',
+    ].join('\r\n'));
+    assert.strictEqual(response.status, 201);
+    const body = await response.json();
+
+    assert.strictEqual(body.dryRun, false);
+    assert.deepStrictEqual(body.errors, []);
+    assert.deepStrictEqual(body.created.map(user => user.utorid), ['import01', 'import02']);
+    assert.ok(body.created.every(user => user.resetToken && user.expiresAt));
+
+    const users = await prisma.user.findMany({
+        where: { utorid: { in: ['import01', 'import02'] } },
+        orderBy: { utorid: 'asc' },
+    });
+    assert.deepStrictEqual(users.map(user => [user.name, user.email, user.verified]), [
+        ['First Import', 'import01@mail.utoronto.ca', false],
+        ['Second, Import', 'import02@mail.utoronto.ca', false],
+    ]);
+});
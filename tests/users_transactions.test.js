@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestServer } = require('./helpers');
+
+const api = useTestServer();
+const { prisma, userIds, tokens } = api;
+
+test('DELETE /users/me/transactions/:id cancels a pending redemption', async () => {
+    const created = await fetch(`${api.baseUrl}/users/me/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.regular}`,
+        },
+        body: JSON.stringify({ type: 'redemption', amount: 20 }),
+    });
+    assert.strictEqual(created.status, 201);
+    const { id } = await created.json();
+
+    const cancel = await fetch(`${api.baseUrl}/users/me/transactions/${id}`, {
+        method: 'DELETE',
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    assert.strictEqual(cancel.status, 200);
+    assert.strictEqual((await cancel.json()).status, 'cancelled');
+
+    const processed = await fetch(`${api.baseUrl}/transactions/${id}/processed`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ processed: true }),
+    });
+    assert.strictEqual(processed.status, 400);
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 100);
+});
+
+test('pending redemptions reserve points until processed', async () => {
+    const redeem = (amount) => fetch(`${api.baseUrl}/users/me/transactions`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.regular}`,
+        },
+        body: JSON.stringify({ type: 'redemption', amount }),
+    });
+
+    const first = await redeem(70);
+    assert.strictEqual(first.status, 201);
+    const { id } = await first.json();
+
+    // only 30 of the 100 points are still available
+    assert.strictEqual((await redeem(40)).status, 400);
+
+    const me = await fetch(`${api.baseUrl}/users/me`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    const body = await me.json();
+    assert.strictEqual(body.points, 100);
+    assert.strictEqual(body.reservedPoints, 70);
+    assert.strictEqual(body.availablePoints, 30);
+
+    const processed = await fetch(`${api.baseUrl}/transactions/${id}/processed`, {
+        method: 'PATCH',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.cashier}`,
+        },
+        body: JSON.stringify({ processed: true }),
+    });
+    assert.strictEqual(processed.status, 200);
+
+    const user = await prisma.user.findUnique({ where: { id: userIds.regular } });
+    assert.strictEqual(user.points, 30);
+    assert.strictEqual((await redeem(30)).status, 201);
+});
+
+test('concurrent redemptions and transfers cannot spend the same points twice', async () => {
+    const post = (path, body) => fetch(`${api.baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'authorization': `Bearer ${tokens.regular}`,
+        },
+        body: JSON.stringify(body),
+    });
+    const redeem = (amount) => post('/users/me/transactions', { type: 'redemption', amount });
+    const transfer = (amount) => post(`/users/${userIds.cashier}/transactions`, { type: 'transfer', amount });
+    const statuses = async (requests) => (await Promise.all(requests)).map(response => response.status).sort();
+
+    // both fit the balance on their own, not together
+    assert.deepStrictEqual(await statuses([redeem(60), redeem(60)]), [201, 400]);
+    assert.deepStrictEqual(await statuses([redeem(30), transfer(30)]), [201, 400]);
+
+    const me = await fetch(`${api.baseUrl}/users/me`, {
+        headers: { 'authorization': `Bearer ${tokens.regular}` },
+    });
+    const body = await me.json();
+    assert.strictEqual(body.availablePoints, 10);
+    assert.ok(body.points >= body.reservedPoints);
+});